@@ -7,7 +7,21 @@ export default [
 
     {
         // specify files to exclude from linting here
-        ignores: [".dev-server/", ".vscode/", "*.test.js", "test/**/*.js", "*.config.mjs", "build/", "admin/build/", "admin/words.js", "admin/admin.d.ts", "**/adapter-config.d.ts", "node_modules/", "doc/", "package-lock.json", "package.json", "tsconfig.json", "tsconfig.check.json", ".DS_Store", ".create-adapter.json", ".github/", ".gitignore", ".prettierrc", ".releaseconfig.json", "LICENSE", "README.md", "admin/.watch/", "admin/i18n/", "admin/jsonConfig.json", "admin/kbs.png", "admin/ta-blnet.png", "admin/tsconfig.json", "custom-eslint-formatter.js", "io-package.json", "lib/adapter-config.d.ts", "main.test.js", "test/"],
+        ignores: [".dev-server/", ".vscode/", "test/**/*.js", "*.config.mjs", "build/", "admin/build/", "admin/words.js", "admin/admin.d.ts", "**/adapter-config.d.ts", "node_modules/", "doc/", "package-lock.json", "package.json", "tsconfig.json", "tsconfig.check.json", ".DS_Store", ".create-adapter.json", ".github/", ".gitignore", ".prettierrc", ".releaseconfig.json", "LICENSE", "README.md", "admin/.watch/", "admin/i18n/", "admin/jsonConfig.json", "admin/kbs.png", "admin/ta-blnet.png", "admin/tsconfig.json", "custom-eslint-formatter.js", "io-package.json", "lib/adapter-config.d.ts", "test/"],
+    },
+    {
+        // the tests run with the globals of mocha
+        files: ["**/*.test.js"],
+        languageOptions: {
+            globals: {
+                describe: "readonly",
+                it: "readonly",
+                before: "readonly",
+                after: "readonly",
+                beforeEach: "readonly",
+                afterEach: "readonly",
+            },
+        },
     },
     {
         // you may disable some 'jsdoc' warnings - but using jsdoc is highly recommended
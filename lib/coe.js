@@ -0,0 +1,143 @@
+"use strict";
+
+/*
+ * CAN over Ethernet (CoE), version 1: the CMI sends the values of its CoE outputs as UDP packets of 14 bytes to port 5441.
+ *
+ * Byte 0 holds the CAN node of the packet, byte 1 the block: block 0 carries the digital values 1 - 16 and block 9
+ * the digital values 17 - 32 as bits of bytes 2 and 3, blocks 1 - 8 carry four analog values each (1 - 4, ..., 29 - 32)
+ * as signed 16 bit integers in bytes 2 - 9, followed by their unit indexes (CMI JSON API units) in bytes 10 - 13.
+ * The CMI forwards packets it receives on port 5441 to the CAN bus, as network inputs of the controllers; there is no response.
+ */
+
+const PORT = 5441;
+const PACKET_LENGTH = 14;
+
+const BLOCK_DIGITAL_1 = 0;
+const BLOCK_DIGITAL_17 = 9;
+const VALUES_PER_ANALOG_BLOCK = 4;
+const VALUES_PER_DIGITAL_BLOCK = 16;
+
+// Decimal places of the analog values per unit index; units without entry have none
+const DECIMALS = {
+    1: 1, // °C
+    7: 1, // K
+    8: 1, // %
+    10: 2, // kW
+    11: 1, // kWh
+    13: 2, // V
+    14: 1, // mA
+    18: 2, // kΩ
+    21: 2, // Hz
+    23: 2, // bar
+    24: 2, // factor
+    26: 1, // m
+    27: 1, // mm
+    46: 1, // °C (room temperature)
+};
+
+/**
+ * Decodes a CoE packet.
+ *
+ * @param {Buffer} packet - The UDP packet.
+ * @returns {{node: number, values: Array<{type: string, number: number, value: number, unit: number}>}|null}
+ *      The CAN node and the values of the packet: type "analog" or "digital", number 1 - 32, the value and its unit index;
+ *      null if the packet is no CoE packet.
+ */
+function decodePacket(packet) {
+    if (packet.length !== PACKET_LENGTH || packet[1] > BLOCK_DIGITAL_17) {
+        return null;
+    }
+    const node = packet[0];
+    const block = packet[1];
+    const values = [];
+    if (block === BLOCK_DIGITAL_1 || block === BLOCK_DIGITAL_17) {
+        const bits = packet.readUInt16LE(2);
+        const first = block === BLOCK_DIGITAL_1 ? 1 : 17;
+        for (let i = 0; i < VALUES_PER_DIGITAL_BLOCK; i++) {
+            values.push({
+                type: "digital",
+                number: first + i,
+                value: (bits >> i) & 1,
+                unit: 43, // ON/OFF
+            });
+        }
+    } else {
+        for (let i = 0; i < VALUES_PER_ANALOG_BLOCK; i++) {
+            const unit = packet[10 + i];
+            values.push({
+                type: "analog",
+                number: (block - 1) * VALUES_PER_ANALOG_BLOCK + i + 1,
+                value: packet.readInt16LE(2 + 2 * i) / 10 ** (DECIMALS[unit] || 0),
+                unit: unit,
+            });
+        }
+    }
+    return {
+        node: node,
+        values: values,
+    };
+}
+
+/**
+ * Returns the block of a value and its position within the block.
+ *
+ * @param {string} type - The type of the value, "analog" or "digital".
+ * @param {number} number - The number of the value (1 - 32).
+ * @returns {{block: number, index: number}} The block and the position of the value within the block (0 based).
+ */
+function getBlock(type, number) {
+    if (type === "digital") {
+        return {
+            block: number <= VALUES_PER_DIGITAL_BLOCK ? BLOCK_DIGITAL_1 : BLOCK_DIGITAL_17,
+            index: (number - 1) % VALUES_PER_DIGITAL_BLOCK,
+        };
+    }
+    return {
+        block: Math.floor((number - 1) / VALUES_PER_ANALOG_BLOCK) + 1,
+        index: (number - 1) % VALUES_PER_ANALOG_BLOCK,
+    };
+}
+
+/**
+ * Encodes a CoE packet; a packet always carries all values of its block.
+ *
+ * @param {number} node - The CAN node the values are sent as.
+ * @param {number} block - The block as returned by getBlock.
+ * @param {Array<{value: number, unit?: number}|undefined>} values - The values of the block by position, 4 analog or 16 digital values;
+ *      values not given are sent as 0 without unit.
+ * @returns {Buffer} The UDP packet.
+ * @throws {Error} If an analog value does not fit into 16 bits with the decimal places of its unit.
+ */
+function encodePacket(node, block, values) {
+    const packet = Buffer.alloc(PACKET_LENGTH);
+    packet[0] = node;
+    packet[1] = block;
+    if (block === BLOCK_DIGITAL_1 || block === BLOCK_DIGITAL_17) {
+        let bits = 0;
+        values.forEach((value, i) => {
+            if (value && value.value) {
+                bits |= 1 << i;
+            }
+        });
+        packet.writeUInt16LE(bits, 2);
+    } else {
+        values.forEach((value, i) => {
+            if (value) {
+                const raw = Math.round(value.value * 10 ** (DECIMALS[value.unit] || 0));
+                if (!Number.isFinite(raw) || raw < -32768 || raw > 32767) {
+                    throw new Error("Value " + value.value + " exceeds the range of a CoE value");
+                }
+                packet.writeInt16LE(raw, 2 + 2 * i);
+                packet[10 + i] = value.unit || 0;
+            }
+        });
+    }
+    return packet;
+}
+
+module.exports = {
+    PORT,
+    decodePacket,
+    getBlock,
+    encodePacket,
+};
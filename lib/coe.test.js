@@ -0,0 +1,150 @@
+"use strict";
+
+const { expect } = require("chai");
+const coe = require("./coe");
+
+const decode = hex => {
+    const decoded = coe.decodePacket(Buffer.from(hex, "hex"));
+    if (!decoded) {
+        throw new Error("No CoE packet: " + hex);
+    }
+    return decoded;
+};
+
+describe("coe => decodePacket", () => {
+    it("decodes the digital values 1 - 16 of block 0", () => {
+        // node 12, block 0, bits of values 1, 3 and 16
+        const decoded = decode("0c00058000000000000000000000");
+        decoded.node.should.equal(12);
+        decoded.values.should.have.lengthOf(16);
+        decoded.values[0].should.deep.equal({ type: "digital", number: 1, value: 1, unit: 43 });
+        decoded.values[1].should.deep.equal({ type: "digital", number: 2, value: 0, unit: 43 });
+        decoded.values[2].value.should.equal(1);
+        decoded.values[15].should.deep.equal({ type: "digital", number: 16, value: 1, unit: 43 });
+    });
+
+    it("decodes the digital values 17 - 32 of block 9", () => {
+        // node 1, block 9, bits of values 18 and 25
+        const decoded = decode("0109020100000000000000000000");
+        decoded.values.map(value => value.number).should.deep.equal([17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32]);
+        decoded.values
+            .filter(value => value.value === 1)
+            .map(value => value.number)
+            .should.deep.equal([18, 25]);
+    });
+
+    it("numbers the analog values of a block by (block - 1) * 4 + position", () => {
+        // node 1, block 1: values 1 - 4 without unit
+        decode("0101010002000300040000000000")
+            .values.map(value => value.number)
+            .should.deep.equal([1, 2, 3, 4]);
+        // block 3: values 9 - 12
+        decode("0103010002000300040000000000")
+            .values.map(value => value.number)
+            .should.deep.equal([9, 10, 11, 12]);
+        // block 8: values 29 - 32
+        decode("0108010002000300040000000000")
+            .values.map(value => value.number)
+            .should.deep.equal([29, 30, 31, 32]);
+    });
+
+    it("decodes the analog values as signed 16 bit integers", () => {
+        // 1, -1, 32767, -32768 without unit
+        const decoded = decode("0102" + "0100" + "ffff" + "ff7f" + "0080" + "00000000");
+        decoded.values.map(value => value.value).should.deep.equal([1, -1, 32767, -32768]);
+        decoded.values.forEach(value => value.type.should.equal("analog"));
+    });
+
+    it("scales the analog values by the decimal places of their unit", () => {
+        // 215 °C/10, -55 K/10, 1234 kW/100, 42 l/h (unit 22, no decimals)
+        const decoded = decode("0201" + "d700" + "c9ff" + "d204" + "2a00" + "01070a16");
+        decoded.node.should.equal(2);
+        decoded.values.should.deep.equal([
+            { type: "analog", number: 1, value: 21.5, unit: 1 },
+            { type: "analog", number: 2, value: -5.5, unit: 7 },
+            { type: "analog", number: 3, value: 12.34, unit: 10 },
+            { type: "analog", number: 4, value: 42, unit: 22 },
+        ]);
+    });
+
+    it("rejects packets that are not 14 bytes long", () => {
+        expect(coe.decodePacket(Buffer.alloc(0))).to.be.null;
+        expect(coe.decodePacket(Buffer.from("01010100020003000400000000", "hex"))).to.be.null;
+        expect(coe.decodePacket(Buffer.from("0101010002000300040000000000" + "00", "hex"))).to.be.null;
+    });
+
+    it("rejects packets of an unknown block", () => {
+        expect(coe.decodePacket(Buffer.from("010a010002000300040000000000", "hex"))).to.be.null;
+        expect(coe.decodePacket(Buffer.from("01ff010002000300040000000000", "hex"))).to.be.null;
+    });
+});
+
+describe("coe => getBlock", () => {
+    it("assigns the digital values 1 - 16 to block 0 and 17 - 32 to block 9", () => {
+        coe.getBlock("digital", 1).should.deep.equal({ block: 0, index: 0 });
+        coe.getBlock("digital", 16).should.deep.equal({ block: 0, index: 15 });
+        coe.getBlock("digital", 17).should.deep.equal({ block: 9, index: 0 });
+        coe.getBlock("digital", 32).should.deep.equal({ block: 9, index: 15 });
+    });
+
+    it("assigns four analog values to each of the blocks 1 - 8", () => {
+        coe.getBlock("analog", 1).should.deep.equal({ block: 1, index: 0 });
+        coe.getBlock("analog", 4).should.deep.equal({ block: 1, index: 3 });
+        coe.getBlock("analog", 5).should.deep.equal({ block: 2, index: 0 });
+        coe.getBlock("analog", 32).should.deep.equal({ block: 8, index: 3 });
+    });
+});
+
+describe("coe => encodePacket", () => {
+    it("encodes analog values which decode to the same values at the same numbers", () => {
+        const values = [
+            { type: "analog", number: 13, value: 21.5, unit: 1 },
+            { type: "analog", number: 14, value: -5.5, unit: 7 },
+            { type: "analog", number: 15, value: 12.34, unit: 10 },
+            { type: "analog", number: 16, value: -32768, unit: 0 },
+        ];
+        const { block } = coe.getBlock("analog", 13);
+        const packet = coe.encodePacket(30, block, values);
+        packet.should.have.lengthOf(14);
+        packet.toString("hex").should.equal("1e04" + "d700" + "c9ff" + "d204" + "0080" + "01070a00");
+        const decoded = decode(packet.toString("hex"));
+        decoded.node.should.equal(30);
+        decoded.values.should.deep.equal(values);
+    });
+
+    it("encodes digital values which decode to the same values at the same numbers", () => {
+        const values = [];
+        values[coe.getBlock("digital", 18).index] = { value: 1 };
+        values[coe.getBlock("digital", 32).index] = { value: 1 };
+        values[coe.getBlock("digital", 20).index] = { value: 0 };
+        const packet = coe.encodePacket(5, coe.getBlock("digital", 18).block, values);
+        packet.toString("hex").should.equal("0509" + "0280" + "00000000000000000000");
+        decode(packet.toString("hex"))
+            .values.filter(value => value.value === 1)
+            .map(value => value.number)
+            .should.deep.equal([18, 32]);
+    });
+
+    it("sends values not given as 0 without unit", () => {
+        coe.encodePacket(1, 2, [undefined, { value: 3, unit: 0 }])
+            .toString("hex")
+            .should.equal("0102" + "0000" + "0300" + "0000" + "0000" + "00000000");
+    });
+
+    it("rounds analog values to the decimal places of their unit", () => {
+        decode(coe.encodePacket(1, 1, [{ value: 21.46, unit: 1 }]).toString("hex")).values[0].value.should.equal(21.5);
+    });
+
+    it("rejects analog values beyond the 16 bits of a CoE value", () => {
+        coe.encodePacket(1, 1, [{ value: 32767, unit: 0 }])
+            .readInt16LE(2)
+            .should.equal(32767);
+        coe.encodePacket(1, 1, [{ value: 3276.7, unit: 1 }])
+            .readInt16LE(2)
+            .should.equal(32767);
+        expect(() => coe.encodePacket(1, 1, [{ value: 32768, unit: 0 }])).to.throw("Value 32768 exceeds the range of a CoE value");
+        expect(() => coe.encodePacket(1, 1, [{ value: 3276.8, unit: 1 }])).to.throw("Value 3276.8 exceeds the range of a CoE value");
+        expect(() => coe.encodePacket(1, 1, [{ value: -32769, unit: 0 }])).to.throw("exceeds the range of a CoE value");
+        expect(() => coe.encodePacket(1, 1, [{ value: NaN, unit: 0 }])).to.throw("exceeds the range of a CoE value");
+    });
+});
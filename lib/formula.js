@@ -0,0 +1,193 @@
+"use strict";
+
+/*
+ * Formulas of the computed states, e.g. "{cmi.node_1.inputs.a01} - {cmi.node_1.inputs.a02}".
+ *
+ * A formula is an arithmetic expression of numbers, references to states of the instance in braces, the operators
+ * + - * / % ^, parentheses and the functions of FUNCTIONS. Formulas are parsed once into a function, so that
+ * syntax errors are found when the adapter starts; no JavaScript of the configuration is executed.
+ */
+
+// Functions available in formulas with their minimum and maximum number of arguments
+const FUNCTIONS = {
+    abs: { min: 1, max: 1, apply: args => Math.abs(args[0]) },
+    sqrt: { min: 1, max: 1, apply: args => Math.sqrt(args[0]) },
+    round: { min: 1, max: 2, apply: args => Math.round(args[0] * 10 ** (args[1] || 0)) / 10 ** (args[1] || 0) },
+    min: { min: 1, max: Infinity, apply: args => Math.min(...args) },
+    max: { min: 1, max: Infinity, apply: args => Math.max(...args) },
+    avg: { min: 1, max: Infinity, apply: args => args.reduce((sum, arg) => sum + arg, 0) / args.length },
+};
+
+const OPERATORS = {
+    "+": (a, b) => a + b,
+    "-": (a, b) => a - b,
+    "*": (a, b) => a * b,
+    "/": (a, b) => a / b,
+    "%": (a, b) => a % b,
+    "^": (a, b) => a ** b,
+};
+
+/**
+ * Splits a formula into numbers, references, names and operators.
+ *
+ * @param {string} formula - The formula.
+ * @returns {Array<{type: string, value: any, position: number}>} The tokens.
+ * @throws {Error} If the formula contains an unexpected character or an unterminated reference.
+ */
+function tokenize(formula) {
+    const tokens = [];
+    let position = 0;
+    while (position < formula.length) {
+        const rest = formula.substring(position);
+        let match;
+        let length = 1;
+        if ((match = /^\s+/.exec(rest))) {
+            length = match[0].length;
+        } else if ((match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(rest))) {
+            tokens.push({ type: "number", value: Number(match[0]), position: position });
+            length = match[0].length;
+        } else if (rest[0] === "{") {
+            const end = rest.indexOf("}");
+            const id = end < 0 ? "" : rest.substring(1, end).trim();
+            if (!id) {
+                throw new Error((end < 0 ? "Unterminated" : "Empty") + " reference at position " + (position + 1));
+            }
+            tokens.push({ type: "reference", value: id, position: position });
+            length = end + 1;
+        } else if ((match = /^[a-z_]\w*/i.exec(rest))) {
+            tokens.push({ type: "name", value: match[0].toLowerCase(), position: position });
+            length = match[0].length;
+        } else if ("+-*/%^(),".includes(rest[0])) {
+            tokens.push({ type: rest[0], value: rest[0], position: position });
+        } else {
+            throw new Error('Unexpected character "' + rest[0] + '" at position ' + (position + 1));
+        }
+        position += length;
+    }
+    return tokens;
+}
+
+/**
+ * Parses a formula.
+ *
+ * @param {string} formula - The formula.
+ * @returns {{references: string[], evaluate: function({[key: string]: number}): number}} The IDs of the states referenced
+ *      and the function computing the value of the formula from the values of these states.
+ * @throws {Error} If the formula is invalid, with the position of the error.
+ */
+function parse(formula) {
+    formula = String(formula || "");
+    const tokens = tokenize(formula);
+    if (tokens.length === 0) {
+        throw new Error("Empty formula");
+    }
+    const references = [];
+    let index = 0;
+
+    const peek = () => tokens[index] || { type: "end", value: "end of formula", position: formula.length };
+    const expect = type => {
+        const token = peek();
+        if (token.type !== type) {
+            throw new Error('Expected "' + type + '" instead of "' + token.value + '" at position ' + (token.position + 1));
+        }
+        index++;
+        return token;
+    };
+
+    // expression := term (("+" | "-") term)*
+    const parseExpression = () => {
+        let left = parseTerm();
+        while (peek().type === "+" || peek().type === "-") {
+            left = binary(tokens[index++].type, left, parseTerm());
+        }
+        return left;
+    };
+    // term := unary (("*" | "/" | "%") unary)*
+    const parseTerm = () => {
+        let left = parseUnary();
+        while (peek().type === "*" || peek().type === "/" || peek().type === "%") {
+            left = binary(tokens[index++].type, left, parseUnary());
+        }
+        return left;
+    };
+    // unary := ("-" | "+") unary | power, i.e. -2^2 = -4
+    const parseUnary = () => {
+        if (peek().type === "-" || peek().type === "+") {
+            const sign = tokens[index++].type === "-" ? -1 : 1;
+            const operand = parseUnary();
+            return values => sign * operand(values);
+        }
+        return parsePower();
+    };
+    // power := primary ("^" unary)?, right associative
+    const parsePower = () => {
+        const left = parsePrimary();
+        if (peek().type === "^") {
+            index++;
+            return binary("^", left, parseUnary());
+        }
+        return left;
+    };
+    // primary := number | reference | name "(" arguments ")" | "(" expression ")"
+    const parsePrimary = () => {
+        const token = peek();
+        switch (token.type) {
+            case "number":
+                index++;
+                return () => token.value;
+            case "reference":
+                index++;
+                if (!references.includes(token.value)) {
+                    references.push(token.value);
+                }
+                return values => values[token.value];
+            case "name":
+                return parseFunction();
+            case "(": {
+                index++;
+                const expression = parseExpression();
+                expect(")");
+                return expression;
+            }
+            default:
+                throw new Error('Unexpected "' + token.value + '" at position ' + (token.position + 1));
+        }
+    };
+    const parseFunction = () => {
+        const token = tokens[index++];
+        // only own properties, not e.g. "constructor" of the prototype
+        const func = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : undefined;
+        if (!func) {
+            throw new Error('Unknown function "' + token.value + '" at position ' + (token.position + 1));
+        }
+        expect("(");
+        const args = [parseExpression()];
+        while (peek().type === ",") {
+            index++;
+            args.push(parseExpression());
+        }
+        expect(")");
+        if (args.length < func.min || args.length > func.max) {
+            throw new Error('Wrong number of arguments for "' + token.value + '" at position ' + (token.position + 1));
+        }
+        return values => func.apply(args.map(arg => arg(values)));
+    };
+    const binary = (operator, left, right) => {
+        const apply = OPERATORS[operator];
+        return values => apply(left(values), right(values));
+    };
+
+    const evaluate = parseExpression();
+    if (index < tokens.length) {
+        throw new Error('Unexpected "' + tokens[index].value + '" at position ' + (tokens[index].position + 1));
+    }
+    return {
+        references: references,
+        evaluate: evaluate,
+    };
+}
+
+module.exports = {
+    FUNCTIONS,
+    parse,
+};
@@ -0,0 +1,103 @@
+"use strict";
+
+const { expect } = require("chai");
+const formula = require("./formula");
+
+const evaluate = (text, values) => formula.parse(text).evaluate(values || {});
+
+describe("formula => parse", () => {
+    it("evaluates numbers in all notations", () => {
+        evaluate("42").should.equal(42);
+        evaluate("1.5").should.equal(1.5);
+        evaluate(".5").should.equal(0.5);
+        evaluate("2e3").should.equal(2000);
+    });
+
+    it("applies the precedence of the operators", () => {
+        evaluate("1 + 2 * 3").should.equal(7);
+        evaluate("(1 + 2) * 3").should.equal(9);
+        evaluate("10 - 4 - 3").should.equal(3);
+        evaluate("12 / 3 / 2").should.equal(2);
+        evaluate("7 % 4 * 2").should.equal(6);
+        evaluate("2 * 3 ^ 2").should.equal(18);
+    });
+
+    it("evaluates powers right associative", () => {
+        evaluate("2 ^ 3 ^ 2").should.equal(512);
+        evaluate("2 ^ -1").should.equal(0.5);
+    });
+
+    it("applies the unary minus after the power", () => {
+        evaluate("-2 ^ 2").should.equal(-4);
+        evaluate("(-2) ^ 2").should.equal(4);
+        evaluate("3 - -2").should.equal(5);
+        evaluate("--3").should.equal(3);
+        evaluate("+3").should.equal(3);
+        evaluate("-2 * 3").should.equal(-6);
+    });
+
+    it("evaluates references to states", () => {
+        const parsed = formula.parse("{cmi.node_1.inputs.a01} - {cmi.node_1.inputs.a02} + { cmi.node_1.inputs.a01 }");
+        parsed.references.should.deep.equal(["cmi.node_1.inputs.a01", "cmi.node_1.inputs.a02"]);
+        parsed.evaluate({ "cmi.node_1.inputs.a01": 50, "cmi.node_1.inputs.a02": 30 }).should.equal(70);
+    });
+
+    it("evaluates to NaN for a missing value of a reference", () => {
+        evaluate("{a} + 1", {}).should.be.NaN;
+    });
+
+    it("evaluates the functions", () => {
+        evaluate("abs(-3)").should.equal(3);
+        evaluate("sqrt(16)").should.equal(4);
+        evaluate("round(2.5)").should.equal(3);
+        evaluate("round(3.14159, 2)").should.equal(3.14);
+        evaluate("min(4, 2, 8)").should.equal(2);
+        evaluate("max(4, 2, 8)").should.equal(8);
+        evaluate("avg(1, 2, 6)").should.equal(3);
+        evaluate("MAX(1, abs(-5)) * 2").should.equal(10);
+    });
+
+    it("evaluates a division by zero to a non-finite number", () => {
+        evaluate("1 / 0").should.equal(Infinity);
+        evaluate("-1 / 0").should.equal(-Infinity);
+        evaluate("0 / 0").should.be.NaN;
+        evaluate("{a} / {b}", { a: 5, b: 0 }).should.equal(Infinity);
+        evaluate("5 % 0").should.be.NaN;
+    });
+
+    it("rejects an empty formula", () => {
+        expect(() => formula.parse("")).to.throw("Empty formula");
+        expect(() => formula.parse("   ")).to.throw("Empty formula");
+    });
+
+    it("rejects unexpected characters with their position", () => {
+        expect(() => formula.parse("1 + $")).to.throw('Unexpected character "$" at position 5');
+        expect(() => formula.parse("a; b")).to.throw("Unexpected character");
+    });
+
+    it("rejects invalid references", () => {
+        expect(() => formula.parse("{a")).to.throw("Unterminated reference at position 1");
+        expect(() => formula.parse("1 + { }")).to.throw("Empty reference at position 5");
+    });
+
+    it("rejects incomplete expressions", () => {
+        expect(() => formula.parse("1 +")).to.throw('Unexpected "end of formula" at position 4');
+        expect(() => formula.parse("(1 + 2")).to.throw('Expected ")" instead of "end of formula"');
+        expect(() => formula.parse("1 2")).to.throw('Unexpected "2" at position 3');
+        expect(() => formula.parse("1 + )")).to.throw('Unexpected ")" at position 5');
+    });
+
+    it("rejects unknown functions and wrong numbers of arguments", () => {
+        expect(() => formula.parse("process(1)")).to.throw('Unknown function "process" at position 1');
+        expect(() => formula.parse("abs")).to.throw('Expected "(" instead of "end of formula"');
+        expect(() => formula.parse("abs(1, 2)")).to.throw('Wrong number of arguments for "abs" at position 1');
+        expect(() => formula.parse("round(1, 2, 3)")).to.throw('Wrong number of arguments for "round"');
+    });
+
+    it("does not execute JavaScript", () => {
+        expect(() => formula.parse("constructor('return 1')")).to.throw('Unexpected character "\'" at position 13');
+        expect(() => formula.parse("constructor(1)")).to.throw('Unknown function "constructor"');
+        expect(() => formula.parse("__proto__(1)")).to.throw('Unknown function "__proto__"');
+        expect(() => formula.parse("this")).to.throw('Unknown function "this"');
+    });
+});
@@ -0,0 +1,261 @@
+"use strict";
+
+/*
+ * Winsol log file format (.log) as documented in doc/Aufbau LOG File - Winsol_UVR1611.PDF
+ * and by the DS_Winsol structures in doc/dl-lesen.h.
+ *
+ * A log file holds the records of one controller for one month. It starts with a header record,
+ * followed by one record of 59 bytes per sample. Records are exchanged with the adapter in the layout
+ * of the current data frames of the BL-NET, so that they can be parsed like polled data.
+ */
+
+const RECORD_LENGTH = 59;
+
+// Header records written by Winsol into a new log file; byte 7 holds the device type
+const HEADER_UVR1611 = [0x01, 0x02, 0x01, 0x03, 0xf0, 0x0f, 0x00, 0x07, 0xaa, 0xaa, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xff, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00];
+const HEADER_UVR61_3 = [0x01, 0x02, 0x01, 0x03, 0xf0, 0x0f, 0x00, 0x06, 0xaa, 0xaa, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xff, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00, 0xaa, 0x00];
+
+// Identifiers of the current data frames of the BL-NET
+const IDENTIFIER_UVR1611 = 0x80;
+const IDENTIFIER_UVR61_3 = 0x90;
+
+// Device types in byte 7 of the header record
+const DEVICE_TYPE_UVR1611 = 0x07;
+const DEVICE_TYPE_UVR61_3 = 0x06;
+
+// Lengths of the current data frames including the identifier; the UVR61-3 frame holds four bytes of MWh as in the data logger memory
+const FRAME_LENGTH_UVR1611 = 56;
+const FRAME_LENGTH_UVR61_3 = 27;
+
+/**
+ * Returns the header record of a new log file.
+ *
+ * @param {number} identifier - The identifier of the frames logged (0x80 = UVR1611, 0x90 = UVR61-3).
+ * @returns {Buffer} The header record.
+ */
+function createHeader(identifier) {
+    return Buffer.from(identifier === IDENTIFIER_UVR61_3 ? HEADER_UVR61_3 : HEADER_UVR1611);
+}
+
+/**
+ * Returns the identifier of the frames logged into a log file.
+ *
+ * @param {Buffer} header - The header record of the log file.
+ * @returns {number|null} The identifier (0x80 = UVR1611, 0x90 = UVR61-3), null if the device type is not supported.
+ */
+function getIdentifier(header) {
+    if (header.length < RECORD_LENGTH) {
+        return null;
+    }
+    switch (header[7]) {
+        case DEVICE_TYPE_UVR1611:
+            return IDENTIFIER_UVR1611;
+        case DEVICE_TYPE_UVR61_3:
+            return IDENTIFIER_UVR61_3;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the name of the log file for the month of the given date, e.g. "Y202410.log" for October 2024.
+ *
+ * @param {Date} date - A date within the month.
+ * @returns {string} The file name.
+ */
+function getFileName(date) {
+    const year = (date.getFullYear() % 100).toString().padStart(3, "0");
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    return "Y2" + year + month + ".log";
+}
+
+/**
+ * Returns year and month of the records of a log file from its name.
+ *
+ * @param {string} fileName - The name of the log file, e.g. "Y202410.log".
+ * @returns {{year: number, month: number}|null} The year and the month (1 - 12), null if the name is not the name of a log file.
+ */
+function parseFileName(fileName) {
+    const match = /^Y2(\d{3})(\d{2})\.log$/i.exec(fileName);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        return null;
+    }
+    return {
+        year: 2000 + Number(match[1]),
+        month: Number(match[2]),
+    };
+}
+
+/**
+ * Returns the subdirectory of the log files of a device, as created by Winsol:
+ * none for a single DL device, Log1/ and Log2/ for two DL devices, Log/ for a single and Log1/ ... Log8/ for several CAN frames.
+ *
+ * @param {number} deviceIndex - The index of the device (0 based).
+ * @param {number} numberOfDevices - The number of devices logged.
+ * @param {boolean} canMode - True if the devices are logged via CAN.
+ * @returns {string} The subdirectory, empty for none.
+ */
+function getSubdirectory(deviceIndex, numberOfDevices, canMode) {
+    if (numberOfDevices === 1) {
+        return canMode ? "Log" : "";
+    }
+    return "Log" + (deviceIndex + 1);
+}
+
+/**
+ * Returns the index of the device logged into a subdirectory created by Winsol; the inverse of getSubdirectory.
+ *
+ * @param {string} subdirectory - The name of the subdirectory, empty for none.
+ * @returns {number|null} The index of the device (0 based), null if the directory is not a Winsol log directory.
+ */
+function getDeviceIndex(subdirectory) {
+    if (subdirectory === "" || subdirectory.toLowerCase() === "log") {
+        return 0;
+    }
+    const match = /^log(\d)$/i.exec(subdirectory);
+    return match && Number(match[1]) > 0 ? Number(match[1]) - 1 : null;
+}
+
+/**
+ * Converts the current heat power as sent by the UVR1611 (1/10 kW, lowest byte in 1/256) into the 32-bit value Winsol expects,
+ * the same way as copy_UVR2winsol_1611 in doc/dl-lesen.c.
+ *
+ * @param {Buffer} data - The data containing the heat power.
+ * @param {number} offset - The offset of the four bytes of the heat power.
+ * @returns {number} The heat power for the log file.
+ */
+function convertHeatPower(data, offset) {
+    const integral = 65536 * data[offset + 3] + 256 * data[offset + 2] + data[offset + 1];
+    const fraction = (data[offset] * 10) / 256;
+    if (data[offset + 3] > 0x7f) {
+        // negative values
+        return Math.trunc(10 * (integral - 65536) - fraction) | 0xffff0000;
+    }
+    return Math.trunc(10 * integral + fraction) | 0;
+}
+
+/**
+ * Converts the heat power of a log file back into the four bytes of the UVR1611 (the inverse of convertHeatPower):
+ * the tenths of kW in the upper three bytes, the hundredths in the lowest byte, subtracted from negative values.
+ * The part below 1/100 kW is lost in the log file; values between -0.1 and 0 kW are not written by convertHeatPower
+ * and restored as 0.
+ *
+ * @param {number} value - The heat power read from the log file.
+ * @param {Buffer} data - The data to write the heat power to.
+ * @param {number} offset - The offset of the four bytes of the heat power.
+ */
+function restoreHeatPower(value, data, offset) {
+    const tenths = Math.trunc(value / 10);
+    data.writeInt32LE(tenths * 256, offset);
+    if (tenths !== 0 || value > 0) {
+        // convertHeatPower truncates the hundredths of positive values and rounds them up for negative values
+        const hundredths = (Math.abs(value - tenths * 10) * 256) / 10;
+        data[offset] = value > 0 ? Math.ceil(hundredths) : Math.floor(hundredths);
+    }
+}
+
+/**
+ * Encodes a record in the log file format.
+ *
+ * The data is given in the layout of a current data frame of the BL-NET, i.e. identifier followed by the values.
+ * For UVR61-3 records read from the data logger memory the MWh may have four instead of two bytes.
+ *
+ * @param {Buffer} frame - The frame, starting with its identifier (0x80 = UVR1611, 0x90 = UVR61-3).
+ * @param {Date} date - The date and time of the record.
+ * @returns {Buffer} The record of 59 bytes.
+ * @throws {Error} If the identifier is unknown.
+ */
+function encodeRecord(frame, date) {
+    const record = Buffer.alloc(RECORD_LENGTH);
+    record[0] = date.getDate();
+    record[1] = date.getHours();
+    record[2] = date.getMinutes();
+    record[3] = date.getSeconds();
+    const data = frame.subarray(1);
+    switch (frame[0]) {
+        case IDENTIFIER_UVR1611:
+            record[4] = data[32]; // outputs 1 - 8
+            record[5] = data[33]; // outputs 9 - 13
+            data.copy(record, 6, 34, 38); // speed levels
+            data.copy(record, 10, 0, 32); // 16 sensors
+            record[42] = data[38]; // heat meter status
+            record.writeInt32LE(convertHeatPower(data, 39), 43);
+            data.copy(record, 47, 43, 47); // kWh, MWh of heat meter 1
+            record.writeInt32LE(convertHeatPower(data, 47), 51);
+            data.copy(record, 55, 51, 55); // kWh, MWh of heat meter 2
+            break;
+        case IDENTIFIER_UVR61_3:
+            record[4] = data[12]; // outputs
+            record[5] = data[13]; // speed level
+            record[6] = data[14]; // analog output
+            data.copy(record, 7, 0, 12); // 6 sensors
+            // 4 bytes unused
+            record[23] = data[15]; // heat meter status
+            data.copy(record, 24, 16, Math.min(data.length, 26)); // volume flow, power, kWh, MWh
+            // 25 bytes unused
+            break;
+        default:
+            throw new Error("Unknown identifier 0x" + frame[0].toString(16).toUpperCase());
+    }
+    return record;
+}
+
+/**
+ * Decodes a record of a log file into a current data frame.
+ *
+ * @param {Buffer} record - The record of 59 bytes.
+ * @param {number} identifier - The identifier of the log file as returned by getIdentifier.
+ * @param {number} year - The year of the log file.
+ * @param {number} month - The month of the log file (1 - 12).
+ * @returns {{timestamp: number, frame: Buffer}|null} The time of the record (ms) and the frame, null if the record holds no valid time.
+ */
+function decodeRecord(record, identifier, year, month) {
+    if (record.length < RECORD_LENGTH || record[0] < 1 || record[0] > 31 || record[1] > 23 || record[2] > 59 || record[3] > 59) {
+        return null;
+    }
+    const timestamp = new Date(year, month - 1, record[0], record[1], record[2], record[3]).getTime();
+    let frame;
+    if (identifier === IDENTIFIER_UVR61_3) {
+        frame = Buffer.alloc(FRAME_LENGTH_UVR61_3);
+        const data = frame.subarray(1);
+        data[12] = record[4]; // outputs
+        data[13] = record[5]; // speed level
+        data[14] = record[6]; // analog output
+        record.copy(data, 0, 7, 19); // 6 sensors
+        data[15] = record[23]; // heat meter status
+        record.copy(data, 16, 24, 34); // volume flow, power, kWh, MWh
+    } else {
+        frame = Buffer.alloc(FRAME_LENGTH_UVR1611);
+        const data = frame.subarray(1);
+        data[32] = record[4]; // outputs 1 - 8
+        data[33] = record[5]; // outputs 9 - 13
+        record.copy(data, 34, 6, 10); // speed levels
+        record.copy(data, 0, 10, 42); // 16 sensors
+        data[38] = record[42]; // heat meter status
+        restoreHeatPower(record.readInt32LE(43), data, 39);
+        record.copy(data, 43, 47, 51); // kWh, MWh of heat meter 1
+        restoreHeatPower(record.readInt32LE(51), data, 47);
+        record.copy(data, 51, 55, 59); // kWh, MWh of heat meter 2
+    }
+    frame[0] = identifier;
+    return {
+        timestamp: timestamp,
+        frame: frame,
+    };
+}
+
+module.exports = {
+    RECORD_LENGTH,
+    IDENTIFIER_UVR1611,
+    IDENTIFIER_UVR61_3,
+    createHeader,
+    getIdentifier,
+    getFileName,
+    parseFileName,
+    getSubdirectory,
+    getDeviceIndex,
+    convertHeatPower,
+    restoreHeatPower,
+    encodeRecord,
+    decodeRecord,
+};
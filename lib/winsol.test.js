@@ -0,0 +1,238 @@
+"use strict";
+
+const { expect } = require("chai");
+const winsol = require("./winsol");
+
+// Current data frame of a UVR1611 with the values of the example in doc/Aufbau LOG File - Winsol_UVR1611.PDF
+const createUvr1611Frame = () => {
+    const frame = Buffer.alloc(56);
+    frame[0] = winsol.IDENTIFIER_UVR1611;
+    const data = frame.subarray(1);
+    data.writeUInt16LE(142, 0); // T1 14.2 °C
+    data.writeUInt16LE(575, 2); // T2 57.5 °C
+    data.writeUInt16LE(411, 28); // T15 41.1 °C
+    data.writeUInt16LE(481, 30); // T16 48.1 °C
+    data[32] = 0x90; // A5, A8 on
+    data[33] = 0x06; // A10, A11 on
+    data[34] = 0x0b; // speed level A1 11
+    data[35] = 0x1d; // speed level A2 29
+    data[36] = 0x05; // speed level A6 5
+    data[37] = 0x1e; // speed level A7 30
+    data[38] = 0x01; // heat meter 1 active
+    data.writeUInt32LE(700 << 8, 39); // power 1 70.0 kW in 1/10 kW above the lowest byte
+    data.writeUInt16LE(2000, 43); // 200.0 kWh
+    data.writeUInt16LE(52, 45); // 52 MWh
+    return frame;
+};
+
+describe("winsol => createHeader", () => {
+    it("creates the header of a UVR1611 log file", () => {
+        const header = winsol.createHeader(winsol.IDENTIFIER_UVR1611);
+        header.should.have.lengthOf(winsol.RECORD_LENGTH);
+        // versions of the log file format, the evaluation software, CAN232 and the controller (UVR1611)
+        header.subarray(0, 8).toString("hex").should.equal("01020103f00f0007");
+        header.subarray(8, 10).toString("hex").should.equal("aaaa");
+        header.subarray(10, 42).toString("hex").should.equal("aa00".repeat(16));
+        header[42].should.equal(0xff);
+        header.subarray(43).toString("hex").should.equal("aa00".repeat(8));
+        expect(winsol.getIdentifier(header)).to.equal(winsol.IDENTIFIER_UVR1611);
+    });
+
+    it("creates the header of a UVR61-3 log file", () => {
+        const header = winsol.createHeader(winsol.IDENTIFIER_UVR61_3);
+        header.should.have.lengthOf(winsol.RECORD_LENGTH);
+        header.subarray(0, 8).toString("hex").should.equal("01020103f00f0006");
+        expect(winsol.getIdentifier(header)).to.equal(winsol.IDENTIFIER_UVR61_3);
+    });
+});
+
+describe("winsol => getFileName", () => {
+    it("names the log file Y2YYYMM.log after year and month", () => {
+        winsol.getFileName(new Date(2002, 6, 27, 6, 44, 26)).should.equal("Y200207.log");
+        winsol.getFileName(new Date(2024, 9, 31, 23, 59, 59)).should.equal("Y202410.log");
+        winsol.getFileName(new Date(2025, 0, 1, 0, 0, 0)).should.equal("Y202501.log");
+        winsol.getFileName(new Date(2025, 11, 1)).should.equal("Y202512.log");
+    });
+});
+
+describe("winsol => convertHeatPower", () => {
+    it("converts the heat power into 1/100 kW", () => {
+        winsol.convertHeatPower(Buffer.from([0x00, 0xbc, 0x02, 0x00]), 0).should.equal(7000);
+        // the lowest byte holds the hundredths as 1/256 of 1/10 kW
+        winsol.convertHeatPower(Buffer.from([0x80, 0x0c, 0x00, 0x00]), 0).should.equal(125);
+        winsol.convertHeatPower(Buffer.from([0x00, 0x00, 0x00, 0x00]), 0).should.equal(0);
+    });
+
+    it("converts a negative heat power", () => {
+        // -1.2 kW
+        winsol.convertHeatPower(Buffer.from([0x00, 0xf4, 0xff, 0xff]), 0).should.equal(-120);
+        // -1.25 kW
+        winsol.convertHeatPower(Buffer.from([0x80, 0xf4, 0xff, 0xff]), 0).should.equal(-125);
+    });
+
+    it("reads the heat power at the offset", () => {
+        winsol.convertHeatPower(Buffer.from([0xff, 0xff, 0x00, 0xbc, 0x02, 0x00]), 2).should.equal(7000);
+    });
+});
+
+describe("winsol => encodeRecord", () => {
+    it("encodes a UVR1611 record as in the example of the log file documentation", () => {
+        const record = winsol.encodeRecord(createUvr1611Frame(), new Date(2002, 6, 27, 6, 44, 26));
+        record.should.have.lengthOf(59);
+        record.toString("hex").should.equal(
+            "1b062c1a" + // day, hour, minute, second
+                "9006" + // outputs
+                "0b1d051e" + // speed levels
+                "8e003f02" + // T1, T2
+                "0000".repeat(12) + // T3 - T14
+                "9b01e101" + // T15, T16
+                "01" + // heat meter status
+                "581b0000" + // power 1 70.00 kW
+                "d007" + // kWh 1
+                "3400" + // MWh 1
+                "00000000" + // power 2
+                "0000" + // kWh 2
+                "0000", // MWh 2
+        );
+    });
+
+    it("encodes a UVR61-3 record", () => {
+        const frame = Buffer.alloc(29);
+        frame[0] = winsol.IDENTIFIER_UVR61_3;
+        const data = frame.subarray(1);
+        data.writeUInt16LE(215, 0); // T1 21.5 °C
+        data.writeUInt16LE(480, 10); // T6 48.0 °C
+        data[12] = 0x05; // outputs
+        data[13] = 0x1e; // speed level
+        data[14] = 0x64; // analog output
+        data[15] = 0x01; // heat meter status
+        data.writeUInt16LE(300, 16); // volume flow
+        data.writeUInt16LE(45, 18); // power
+        data.writeUInt16LE(1234, 20); // kWh
+        data.writeUInt32LE(56, 22); // MWh, four bytes from the data logger memory
+        const record = winsol.encodeRecord(frame, new Date(2024, 9, 5, 13, 7, 0));
+        record.should.have.lengthOf(59);
+        record.subarray(0, 7).toString("hex").should.equal("050d0700051e64");
+        record
+            .subarray(7, 19)
+            .toString("hex")
+            .should.equal("d700" + "0000".repeat(4) + "e001");
+        record.subarray(19, 23).toString("hex").should.equal("00000000");
+        record[23].should.equal(0x01);
+        record
+            .subarray(24, 34)
+            .toString("hex")
+            .should.equal("2c01" + "2d00" + "d204" + "38000000");
+        record.subarray(34).toString("hex").should.equal("00".repeat(25));
+    });
+
+    it("rejects frames of unknown devices", () => {
+        expect(() => winsol.encodeRecord(Buffer.from([0x7f, 0x00]), new Date())).to.throw("Unknown identifier 0x7F");
+    });
+});
+
+describe("winsol => parseFileName", () => {
+    it("reads year and month from the name of a log file", () => {
+        expect(winsol.parseFileName("Y200207.log")).to.deep.equal({ year: 2002, month: 7 });
+        expect(winsol.parseFileName("Y202412.log")).to.deep.equal({ year: 2024, month: 12 });
+        expect(winsol.parseFileName("y202501.LOG")).to.deep.equal({ year: 2025, month: 1 });
+    });
+
+    it("is the inverse of getFileName", () => {
+        expect(winsol.parseFileName(winsol.getFileName(new Date(2031, 4, 15)))).to.deep.equal({ year: 2031, month: 5 });
+    });
+
+    it("rejects names of other files", () => {
+        expect(winsol.parseFileName("Y202413.log")).to.be.null;
+        expect(winsol.parseFileName("Y202400.log")).to.be.null;
+        expect(winsol.parseFileName("Y20241.log")).to.be.null;
+        expect(winsol.parseFileName("Y202410.txt")).to.be.null;
+        expect(winsol.parseFileName("Y202410.log.bak")).to.be.null;
+        expect(winsol.parseFileName("infos.ini")).to.be.null;
+    });
+});
+
+describe("winsol => getIdentifier", () => {
+    it("rejects short and unknown headers", () => {
+        expect(winsol.getIdentifier(winsol.createHeader(winsol.IDENTIFIER_UVR1611).subarray(0, 58))).to.be.null;
+        expect(winsol.getIdentifier(Buffer.alloc(0))).to.be.null;
+        const header = winsol.createHeader(winsol.IDENTIFIER_UVR1611);
+        header[7] = 0x05;
+        expect(winsol.getIdentifier(header)).to.be.null;
+    });
+});
+
+describe("winsol => restoreHeatPower", () => {
+    const restore = value => {
+        const data = Buffer.alloc(4);
+        winsol.restoreHeatPower(value, data, 0);
+        return data.toString("hex");
+    };
+
+    it("restores the four bytes of the UVR1611", () => {
+        restore(7000).should.equal("00bc0200");
+        restore(125).should.equal("800c0000");
+        restore(-120).should.equal("00f4ffff");
+        restore(-125).should.equal("80f4ffff");
+        restore(-5).should.equal("00000000");
+    });
+
+    it("is the inverse of convertHeatPower", () => {
+        for (const value of [0, 1, 9, 99, 7000, 123456, -10, -11, -99, -120, -6553]) {
+            const data = Buffer.alloc(6);
+            winsol.restoreHeatPower(value, data, 2);
+            winsol.convertHeatPower(data, 2).should.equal(value);
+        }
+    });
+});
+
+describe("winsol => decodeRecord", () => {
+    it("decodes a UVR1611 record into the frame it was encoded from", () => {
+        const frame = createUvr1611Frame();
+        // negative power of heat meter 2 with hundredths
+        frame.subarray(1).writeUInt32LE(0xfffff480, 47);
+        const date = new Date(2002, 6, 27, 6, 44, 26);
+        const decoded = winsol.decodeRecord(winsol.encodeRecord(frame, date), winsol.IDENTIFIER_UVR1611, 2002, 7);
+        expect(decoded).to.deep.equal({ timestamp: date.getTime(), frame: frame });
+    });
+
+    it("decodes a UVR61-3 record into the frame it was encoded from", () => {
+        const frame = Buffer.alloc(27);
+        frame[0] = winsol.IDENTIFIER_UVR61_3;
+        for (let i = 1; i < frame.length; i++) {
+            frame[i] = i;
+        }
+        const date = new Date(2024, 1, 29, 23, 59, 59);
+        const decoded = winsol.decodeRecord(winsol.encodeRecord(frame, date), winsol.IDENTIFIER_UVR61_3, 2024, 2);
+        expect(decoded).to.deep.equal({ timestamp: date.getTime(), frame: frame });
+    });
+
+    it("takes year and month from the file", () => {
+        const record = winsol.encodeRecord(createUvr1611Frame(), new Date(2002, 6, 27, 6, 44, 26));
+        const decoded = winsol.decodeRecord(record, winsol.IDENTIFIER_UVR1611, 2025, 3);
+        expect(decoded && decoded.timestamp).to.equal(new Date(2025, 2, 27, 6, 44, 26).getTime());
+    });
+
+    it("rejects short records", () => {
+        const record = winsol.encodeRecord(createUvr1611Frame(), new Date(2002, 6, 27, 6, 44, 26));
+        expect(winsol.decodeRecord(record.subarray(0, 58), winsol.IDENTIFIER_UVR1611, 2002, 7)).to.be.null;
+        expect(winsol.decodeRecord(Buffer.alloc(0), winsol.IDENTIFIER_UVR1611, 2002, 7)).to.be.null;
+    });
+
+    it("rejects records without a valid time", () => {
+        const record = winsol.encodeRecord(createUvr1611Frame(), new Date(2002, 6, 27, 6, 44, 26));
+        for (const [index, value] of [
+            [0, 0],
+            [0, 32],
+            [1, 24],
+            [2, 60],
+            [3, 60],
+        ]) {
+            const invalid = Buffer.from(record);
+            invalid[index] = value;
+            expect(winsol.decodeRecord(invalid, winsol.IDENTIFIER_UVR1611, 2002, 7)).to.be.null;
+        }
+        // the filler of an unused record
+        expect(winsol.decodeRecord(Buffer.alloc(59, 0xaa), winsol.IDENTIFIER_UVR1611, 2002, 7)).to.be.null;
+    });
+});
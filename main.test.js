@@ -27,3 +27,1525 @@ describe("module to test => function to test", () => {
 });
 
 // ... more test suites => describe
+
+const { EventEmitter } = require("node:events");
+const fs = require("node:fs");
+const net = require("node:net");
+const path = require("node:path");
+const proxyquire = require("proxyquire");
+
+// Replaces the adapter base class, so that the adapter can be created without a js-controller
+class FakeAdapter {
+    constructor() {
+        this.namespace = "ta-blnet.0";
+        this.config = {};
+        this.log = { debug() {}, info() {}, warn() {}, error() {} };
+        this.states = {};
+        this.timestamps = {};
+    }
+    on() {}
+    setTimeout() {
+        return null;
+    }
+    clearTimeout() {}
+    async setState(id, state) {
+        this.states[id] = state && typeof state === "object" ? state.val : state;
+        this.timestamps[id] = (state && typeof state === "object" && state.ts) || Date.now();
+    }
+    async getStateAsync(id) {
+        return this.states[id] === undefined ? null : { val: this.states[id], ts: this.timestamps[id] };
+    }
+    async getStatesAsync(pattern) {
+        const regExp = new RegExp("^" + pattern.replace(/\./g, "\\.").replace(/\*/g, ".*") + "$");
+        const states = {};
+        for (const id of Object.keys(this.states).filter(id => regExp.test(id))) {
+            states[this.namespace + "." + id] = await this.getStateAsync(id);
+        }
+        return states;
+    }
+    async setObjectNotExistsAsync() {}
+}
+const createAdapter = proxyquire("./main", {
+    "@iobroker/adapter-core": { "Adapter": FakeAdapter, "@noCallThru": true },
+});
+
+describe("main => getObservedTime", () => {
+    const adapter = createAdapter();
+    adapter.config.poll_interval = 30;
+
+    it("counts the time between consecutive readings", () => {
+        adapter.getObservedTime(0, 45000).should.equal(45000);
+    });
+    it("counts one poll interval at most after a gap of more than two poll intervals", () => {
+        adapter.getObservedTime(0, 61000).should.equal(30000);
+    });
+    it("takes the gap limit from the read interval of a CAN node", () => {
+        adapter.getObservedTime(0, 61000, 61000).should.equal(61000);
+        adapter.getObservedTime(0, 300000, 300000).should.equal(300000);
+        adapter.getObservedTime(0, 700000, 300000).should.equal(300000);
+    });
+    it("counts nothing for a reading older than the previous one", () => {
+        adapter.getObservedTime(1000, 0).should.equal(0);
+    });
+});
+
+describe("main => readCmiNode", () => {
+    it("passes the interval the node has been read at to the counters", async () => {
+        const adapter = createAdapter();
+        adapter.config.poll_interval = 30;
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [7], uvr_type_code: ["80"], uvr_type_str: ["UVR1611"] }, stateValues: [] };
+        adapter.fetchStateValuesFromDevice = async () => [{ Inputs: {} }];
+        adapter.updateComputedStates = async () => {};
+        adapter.scheduleNextCmiRead = async () => {};
+        const readIntervals = [];
+        adapter.declareOrUpdateObjects = async (index, readInterval) => {
+            readIntervals.push(readInterval);
+        };
+        const entry = { node: 7, index: 0, interval: 300000, next: 0, lastAttempt: Date.now() - 10000 };
+        await adapter.readCmiNode(entry);
+        // delayed reads: the time since the previous read is longer than the interval of the node
+        entry.lastAttempt = Date.now() - 400000;
+        await adapter.readCmiNode(entry);
+        readIntervals[0].should.equal(300000);
+        readIntervals[1].should.be.within(400000, 401000);
+    });
+    it("declares the channel of a node that failed at startup on its first successful read", async () => {
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "CMI";
+        adapter.config.poll_interval = 30;
+        adapter.cmiRequests = [{ can_node_number: 1 }, { can_node_number: 2 }];
+        const response = node => ({
+            Header: { Version: 7, Device: node === 1 ? "87" : "88", Timestamp: 1700000000 },
+            Data: { Inputs: [{ Number: 1, AD: "A", Value: { Value: 21.5, Unit: 1 } }] },
+            Status: "OK",
+        });
+        adapter.fetchJSONDataFromDevice = async node => {
+            if (node === 2) {
+                throw new Error("Node error");
+            }
+            return { data: response(node) };
+        };
+        adapter.systemConfiguration = await adapter.readSystemConfiguration();
+        adapter.systemConfiguration.deviceInfo.uvr_type_code.should.deep.equal(["87", "--"]);
+        adapter.getChannelId(adapter.systemConfiguration.deviceInfo, 1).should.equal("cmi.0002-unknown");
+
+        const declared = [];
+        const deleted = [];
+        adapter.setObjectNotExistsAsync = async id => {
+            declared.push(id);
+        };
+        adapter.delObjectAsync = async id => {
+            deleted.push(id);
+        };
+        adapter.getObjectAsync = async () => null;
+        adapter.extendObjectAsync = async () => {};
+        adapter.updateComputedStates = async () => {};
+        adapter.scheduleNextCmiRead = async () => {};
+        adapter.initialized = true;
+        adapter.fetchStateValuesFromDevice = async node => [adapter.parseUvrRecordFromJSON(response(node))];
+        await adapter.readCmiNode({ node: 2, index: 1, interval: 60000, next: 0, lastAttempt: Date.now() - 60000 });
+
+        const deviceInfo = adapter.systemConfiguration.deviceInfo;
+        deviceInfo.uvr_type_code.should.deep.equal(["87", "88"]);
+        deviceInfo.uvr_type_str[1].should.equal(adapter.cmiAttachedDevices["88"]);
+        const channelId = adapter.getChannelId(deviceInfo, 1);
+        channelId.should.not.equal("cmi.0002-unknown");
+        deleted.should.deep.equal(["cmi.0002-unknown"]);
+        declared.should.include.members([channelId, channelId + ".info.next_read", channelId + ".inputs", channelId + ".inputs.a01"]);
+        adapter.states[channelId + ".inputs.a01"].should.equal(21.5);
+        adapter.states["info.uvr_type_code"].should.equal(JSON.stringify(["87", "88"]));
+        adapter.initialized.should.be.true;
+
+        // the following reads only update the values
+        declared.length = 0;
+        await adapter.readCmiNode({ node: 2, index: 1, interval: 60000, next: 0, lastAttempt: Date.now() - 60000 });
+        declared.should.be.empty;
+    });
+    it("counts the operating hours of an output over the interval of the node", async () => {
+        const adapter = createAdapter();
+        adapter.config.poll_interval = 30;
+        const counterId = adapter.name2id("cmi.0007.operating_hours.A01");
+        adapter.operatingHours[counterId] = { on: true, timestamp: 0, hours: 0, hours_today: 0, hours_yesterday: 0, cycles: 0, cycles_today: 0, cycles_yesterday: 0, day: adapter.getPeriods(61000).day };
+        adapter.writeOperatingHours = async () => {};
+        await adapter.countOperatingHours("cmi.0007.operating_hours", "A01", true, 61000, 61000);
+        (adapter.operatingHours[counterId].hours * 3600000).should.be.closeTo(61000, 1);
+    });
+});
+
+describe("main => CMI settings", () => {
+    const row = { enabled: true, can_node_number: 7, label: " Heating ", data_objects: ["I", "O"], interval: 120 };
+    const parse = definitions => {
+        const adapter = createAdapter();
+        const errors = [];
+        const requests = adapter.parseCmiRequests(definitions, errors);
+        return { requests, errors };
+    };
+
+    it("takes the enabled rows of the table as requests", () => {
+        const { requests, errors } = parse([row, { ...row, can_node_number: "62", label: "", interval: "" }, { ...row, enabled: false, can_node_number: 8 }]);
+        requests.should.deep.equal([
+            { can_node_number: 7, label: "Heating", data_objects: "I,O", interval: 120 },
+            { can_node_number: 62, label: "", data_objects: "I,O", interval: 0 },
+        ]);
+        errors.should.be.empty;
+    });
+
+    it("skips and reports invalid rows", () => {
+        const { requests, errors } = parse([row, { ...row, can_node_number: 0 }, { ...row, can_node_number: 63 }, { ...row, can_node_number: "" }, { ...row }, { ...row, can_node_number: 9, data_objects: [] }, { ...row, can_node_number: 10, data_objects: ["I", "X", "Y"] }, { ...row, can_node_number: 11, interval: -60 }]);
+        requests.map(request => request.can_node_number).should.deep.equal([7]);
+        errors.should.deep.equal(['CAN node "0" needs a number within 1 - 62', 'CAN node "63" needs a number within 1 - 62', 'CAN node "" needs a number within 1 - 62', "CAN node 7 is configured more than once", "CAN node 9 needs at least one data object", "CAN node 10 has unknown data objects X,Y", "CAN node 11 needs an interval of 0 or more seconds"]);
+    });
+
+    const createMigratingAdapter = config => {
+        const adapter = createAdapter();
+        Object.assign(adapter.config, { selected_ta_logger: "CMI", cmi_requests: [] }, config);
+        adapter.extended = [];
+        adapter.extendForeignObjectAsync = async (id, obj) => {
+            adapter.extended.push({ id, obj });
+        };
+        return adapter;
+    };
+    const json = JSON.stringify({
+        requests: [
+            { can_node_number: 7, data_objects: "I, O,Sd" },
+            { can_node_number: 8, data_objects: "I", interval: 300 },
+        ],
+    });
+
+    it("moves the JSON configuration of a former version into the table and restarts", async () => {
+        const adapter = createMigratingAdapter({ json: json });
+        const errors = [];
+        (await adapter.migrateCmiJsonConfig(errors)).should.be.true;
+        errors.should.be.empty;
+        adapter.extended.should.deep.equal([
+            {
+                id: "system.adapter.ta-blnet.0",
+                obj: {
+                    native: {
+                        cmi_requests: [
+                            { enabled: true, can_node_number: 7, label: "", data_objects: ["I", "O", "Sd"], interval: 0 },
+                            { enabled: true, can_node_number: 8, label: "", data_objects: ["I"], interval: 300 },
+                        ],
+                        json: "",
+                    },
+                },
+            },
+        ]);
+    });
+
+    it("moves the JSON configuration only of a CMI without a table", async () => {
+        for (const config of [{ json: json, selected_ta_logger: "BL-NET" }, { json: json, cmi_requests: [row] }, { json: " " }, { json: undefined }]) {
+            const adapter = createMigratingAdapter(config);
+            (await adapter.migrateCmiJsonConfig([])).should.be.false;
+            adapter.extended.should.be.empty;
+        }
+    });
+
+    it("reports a JSON configuration that cannot be moved", async () => {
+        for (const invalid of ["{", '{"requests": {}}']) {
+            const adapter = createMigratingAdapter({ json: invalid });
+            const errors = [];
+            (await adapter.migrateCmiJsonConfig(errors)).should.be.false;
+            errors.should.have.lengthOf(1);
+            errors[0].should.contain("cannot be moved into the table of the CMI settings");
+            adapter.extended.should.be.empty;
+        }
+    });
+});
+
+describe("main => admin commands", () => {
+    // rejections like those of fetchJSONDataFromDevice
+    const cmiError = (message, details) => Object.assign(new Error(message), details);
+    const createCommandAdapter = config => {
+        const adapter = createAdapter();
+        Object.assign(adapter.config, { ip_address: "192.168.0.10", port: 80, selected_ta_logger: "CMI" }, config);
+        adapter.requests = [];
+        return adapter;
+    };
+    const stubCmi = (adapter, replies) => {
+        adapter.fetchJSONDataFromDevice = async (node, settings) => {
+            adapter.requests.push({ node, settings });
+            const reply = typeof replies === "function" ? replies(node) : replies;
+            if (reply instanceof Error) {
+                throw reply;
+            }
+            return { data: { Header: { Version: 7, Device: reply }, Status: "OK" } };
+        };
+    };
+
+    it("asks for the address of the data logger", async () => {
+        const adapter = createCommandAdapter({ ip_address: "" });
+        (await adapter.testConnection({})).should.deep.equal({ error: "Please enter the IP address and the port of the data logger" });
+        (await adapter.testConnection({ ip_address: "192.168.0.10", port: "x" })).should.have.property("error");
+    });
+
+    it("reads the module ID of the BL-NET of the running instance on its connection", async () => {
+        const adapter = createCommandAdapter({ selected_ta_logger: "BL-NET", port: 40000 });
+        adapter.sendCommand = async command => {
+            adapter.requests.push(Array.from(command));
+            return Buffer.from([0xa3]);
+        };
+        (await adapter.testConnection({ selected_ta_logger: "BL-NET", port: "40000" })).should.deep.equal({ result: "BL-NET at 192.168.0.10:40000 reachable, module ID 0xA3" });
+        adapter.requests.should.deep.equal([[0x81]]);
+    });
+
+    it("probes another BL-NET on a connection of its own", async () => {
+        const adapter = createCommandAdapter();
+        adapter.probeDevice = async (host, port) => {
+            adapter.requests.push(host + ":" + port);
+            return Buffer.from([0xa3]);
+        };
+        (await adapter.testConnection({ selected_ta_logger: "BL-NET", ip_address: "192.168.0.20", port: 40000 })).should.deep.equal({ result: "BL-NET at 192.168.0.20:40000 reachable, module ID 0xA3" });
+        adapter.requests.should.deep.equal(["192.168.0.20:40000"]);
+    });
+
+    it("tells an unreachable BL-NET and a CMI selected as BL-NET", async () => {
+        const adapter = createCommandAdapter();
+        adapter.probeDevice = async () => {
+            throw new Error("connect ECONNREFUSED");
+        };
+        (await adapter.testConnection({ selected_ta_logger: "BL-NET", port: 40000 })).should.deep.equal({ error: "BL-NET at 192.168.0.10:40000 not reachable: connect ECONNREFUSED" });
+        adapter.probeDevice = async () => Buffer.from("HTTP/1.1 400 Bad Request");
+        (await adapter.testConnection({ selected_ta_logger: "BL-NET", port: 80 })).error.should.contain("answers HTTP and is no BL-NET");
+    });
+
+    it("reads the device of the first configured CAN node with the credentials entered", async () => {
+        const adapter = createCommandAdapter();
+        adapter.cmiRequests = [{ can_node_number: 7, label: "", data_objects: "I,O", interval: 0 }];
+        stubCmi(adapter, "87");
+        (await adapter.testConnection({ expert_username: "expert", expert_password: "secret" })).should.deep.equal({ result: "CMI at 192.168.0.10:80 reachable, credentials accepted; CAN node 7: UVR16x2" });
+        adapter.requests[0].node.should.equal(7);
+        adapter.requests[0].settings.should.include({ expert_username: "expert", expert_password: "secret", data_objects: "I" });
+    });
+
+    it("reports a CMI that answers without the CAN node as reachable", async () => {
+        const adapter = createCommandAdapter();
+        stubCmi(adapter, cmiError("Node error (2 - ERROR)", { httpStatusCode: 200, cmiStatusCode: 2 }));
+        (await adapter.testConnection({})).should.deep.equal({ result: "CMI at 192.168.0.10:80 reachable, credentials accepted; CAN node 1: Node error (2 - ERROR)" });
+    });
+
+    it("tells rejected credentials, an unreachable CMI and a BL-NET selected as CMI", async () => {
+        const adapter = createCommandAdapter();
+        stubCmi(adapter, cmiError("Unauthorized", { httpStatusCode: 401 }));
+        (await adapter.testConnection({})).should.deep.equal({ error: "The CMI at 192.168.0.10:80 rejected the expert username or password" });
+        stubCmi(adapter, cmiError("connect ETIMEDOUT", { httpStatusCode: 999 }));
+        (await adapter.testConnection({ port: 40000 })).should.deep.equal({ error: "CMI at 192.168.0.10:40000 not reachable: connect ETIMEDOUT; the JSON API of the CMI uses port 80" });
+        stubCmi(adapter, cmiError("Invalid JSON", { httpStatusCode: 998 }));
+        (await adapter.testConnection({})).error.should.contain("does not answer like the JSON API of a CMI (Invalid JSON)");
+    });
+
+    it("suggests a row per device found with the data objects of its type", async () => {
+        const adapter = createCommandAdapter();
+        adapter.cmiRequests = [{ can_node_number: 1, label: "Heating", data_objects: "I", interval: 300 }];
+        const interrupted = [3];
+        stubCmi(adapter, node => {
+            switch (node) {
+                case 1:
+                    return "87";
+                case 3:
+                    // interrupted once, scanned again
+                    return interrupted.pop() ? cmiError("Request interrupted", { cmiStatusCode: 4 }) : "88";
+                case 4:
+                    // a device without inputs still reports its type
+                    return cmiError("Only partially successful", { cmiStatusCode: 7, data: { Header: { Device: "81" } } });
+                default:
+                    return cmiError("Node error (2 - ERROR)", { cmiStatusCode: 2 });
+            }
+        });
+        const response = await adapter.scanCanNodes({ from: "1", to: "5", expert_username: "expert" });
+        adapter.requests.map(request => request.node).should.deep.equal([1, 2, 3, 3, 4, 4, 5]);
+        adapter.requests.forEach(request => request.settings.should.include({ expert_username: "expert", data_objects: "I" }));
+        response.result.should.equal("CAN node 1: UVR16x2 (La,Ld,I,O,D,Sg,Sd,St,Ss), CAN node 3: RSM610 (La,Ld,I,O,D,Sg,Sd,St,Ss,M), CAN node 4: CAN-MT (no data objects supported)");
+        if (!response.native) {
+            throw new Error("No rows suggested");
+        }
+        response.native.cmi_requests.should.deep.equal([
+            { enabled: true, can_node_number: 1, label: "Heating", data_objects: ["La", "Ld", "I", "O", "D", "Sg", "Sd", "St", "Ss"], interval: 300 },
+            { enabled: true, can_node_number: 3, label: "", data_objects: ["La", "Ld", "I", "O", "D", "Sg", "Sd", "St", "Ss", "M"], interval: 0 },
+        ]);
+        adapter.cmiScanRunning.should.be.false;
+    });
+
+    it("rejects an invalid range and a second scan", async () => {
+        const adapter = createCommandAdapter();
+        for (const range of [{ from: 0, to: 5 }, { from: 5, to: 63 }, { from: 5, to: 4 }, {}]) {
+            (await adapter.scanCanNodes(range)).should.deep.equal({ error: "Please enter a range of CAN node numbers within 1 - 62" });
+        }
+        adapter.cmiScanRunning = true;
+        (await adapter.scanCanNodes({ from: 1, to: 1 })).should.deep.equal({ error: "A scan of the CAN nodes is already running" });
+    });
+
+    it("aborts the scan if the CMI does not answer and reports if nothing has been found", async () => {
+        const adapter = createCommandAdapter();
+        stubCmi(adapter, cmiError("connect ETIMEDOUT", { httpStatusCode: 999 }));
+        (await adapter.scanCanNodes({ from: 1, to: 3 })).should.deep.equal({ error: "Scan aborted at CAN node 1: connect ETIMEDOUT" });
+        adapter.cmiScanRunning.should.be.false;
+        stubCmi(adapter, cmiError("Node error (2 - ERROR)", { cmiStatusCode: 2 }));
+        (await adapter.scanCanNodes({ from: 1, to: 2 })).should.deep.equal({ error: "No device with supported data objects found on the CAN nodes 1 - 2" });
+    });
+});
+
+describe("main => computed states", () => {
+    const stateIds = new Set(["cmi.0001-uvr16x2.inputs.a01", "cmi.0001-uvr16x2.inputs.a02", "computed.old"]);
+    const parse = definitions => {
+        const adapter = createAdapter();
+        const errors = [];
+        adapter.computedStates = adapter.parseComputedStates(definitions, stateIds, errors);
+        return { adapter, errors };
+    };
+
+    it("refers to the states by their object IDs, case-insensitive", async () => {
+        const { adapter, errors } = parse([
+            { name: "Delta T", formula: "{CMI.0001-UVR16x2.Inputs.A01} - {cmi.0001-uvr16x2.inputs.a02}", unit: "K" },
+            { name: "Double", formula: "{computed.delta_t} * 2" },
+        ]);
+        errors.should.be.empty;
+        adapter.computedStates[0].references.should.deep.equal([
+            { name: "CMI.0001-UVR16x2.Inputs.A01", id: "cmi.0001-uvr16x2.inputs.a01" },
+            { name: "cmi.0001-uvr16x2.inputs.a02", id: "cmi.0001-uvr16x2.inputs.a02" },
+        ]);
+        adapter.getObjectAsync = async () => null;
+        adapter.states["cmi.0001-uvr16x2.inputs.a01"] = 60;
+        adapter.states["cmi.0001-uvr16x2.inputs.a02"] = 45.5;
+        await adapter.updateComputedStates();
+        adapter.states["computed.delta_t"].should.equal(14.5);
+        adapter.states["computed.double"].should.equal(29);
+    });
+
+    it("rejects references to unknown states and to computed states defined later", () => {
+        const { adapter, errors } = parse([
+            { name: "Typo", formula: "{cmi.0001-uvr16x2.inputs.a1} + {cmi.0001-uvr16x2.inputs.a02}" },
+            { name: "Early", formula: "{computed.late} + 1" },
+            { name: "Late", formula: "{cmi.0001-uvr16x2.inputs.a01}" },
+            { name: "Old", formula: "{computed.old}" },
+        ]);
+        adapter.computedStates.map(computedState => computedState.id).should.deep.equal(["computed.late"]);
+        errors.should.deep.equal(['Formula of computed state "Typo" refers to unknown states: cmi.0001-uvr16x2.inputs.a1', 'Formula of computed state "Early" refers to unknown states: computed.late', 'Formula of computed state "Old" refers to unknown states: computed.old']);
+    });
+
+    it("rejects invalid definitions as configuration errors", () => {
+        const { adapter, errors } = parse([
+            { name: "", formula: "1" },
+            { name: "Twice", formula: "1" },
+            { name: "twice", formula: "2" },
+            { name: "Invalid", formula: "1 +" },
+        ]);
+        adapter.computedStates.map(computedState => computedState.id).should.deep.equal(["computed.twice"]);
+        errors.should.deep.equal(['Computed state with formula "1" has no name', 'Computed state "twice" is defined twice', 'Formula of computed state "Invalid" is invalid: Unexpected "end of formula" at position 4']);
+    });
+});
+
+describe("main => parseUvrRecordFromJSON", () => {
+    // response to jsonnode=1&jsonparam=I,O in the format of doc/CMI_JSON_API_V7.pdf: the CMI sends the units and the RAS mode as strings
+    const response = {
+        "Header": { Version: 7, Device: "87", Timestamp: 1630764000 },
+        "Data": {
+            Inputs: [
+                { Number: 1, AD: "A", Value: { Value: 92.2, Unit: "1" } },
+                { Number: 2, AD: "A", Value: { Value: 21.5, Unit: "46", RAS: "1" } },
+            ],
+            Outputs: [
+                { Number: 1, AD: "D", Value: { Value: 1, Unit: "43" } },
+                { Number: 13, AD: "A", Value: { State: 1, Value: 65.5, Unit: "8" } },
+            ],
+        },
+        "Status": "OK",
+        "Status code": 0,
+    };
+
+    it("keeps the value and unit of each input and output", () => {
+        const record = createAdapter().parseUvrRecordFromJSON(response);
+        record.Inputs.A01.should.deep.equal({ value: 92.2, unit: "°C" });
+        record.Outputs.D01.should.deep.equal({ value: 1, unit: "ON/OFF" });
+        record.Outputs.A13.value.should.equal(65.5);
+        record.Header.should.deep.equal({ Version: 7, Device: "87" });
+    });
+
+    it("exposes the operating mode of a room temperature sensor and the state of an analog output as sub-states", () => {
+        const record = createAdapter().parseUvrRecordFromJSON(response);
+        record.Inputs.A02_RAS.should.deep.equal({ value: 1, unit: "", states: { 0: "Time/auto", 1: "Normal", 2: "Lowered", 3: "Standby" } });
+        record.Outputs.A13_State.should.deep.equal({ value: 1, unit: "", states: { 0: "Off", 1: "On" } });
+        expect(record.Inputs.A01_RAS).to.be.undefined;
+        expect(record.Outputs.D01_State).to.be.undefined;
+    });
+
+    it("keeps fields that are no numbers as strings", () => {
+        const record = createAdapter().parseUvrRecordFromJSON({ Data: { Inputs: [{ Number: 3, AD: "A", Value: { Value: 1, Unit: "0", Mode: "auto" } }] } });
+        record.Inputs.A03_Mode.should.deep.equal({ value: "auto", unit: "", type: "string" });
+    });
+
+    it("declares the sub-states with their states next to the values", async () => {
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "CMI";
+        const declared = {};
+        adapter.getObjectAsync = async () => null;
+        adapter.setObjectNotExistsAsync = async (id, obj) => {
+            declared[id] = obj.common;
+        };
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1], uvr_type_str: ["UVR16x2"], uvr_type_code: ["87"] }, stateValues: [adapter.parseUvrRecordFromJSON(response)] };
+        await adapter.declareOrUpdateObjects();
+        declared["cmi.0001-uvr16x2.inputs.a02_ras"].should.include({ type: "number" });
+        declared["cmi.0001-uvr16x2.inputs.a02_ras"].states.should.deep.equal({ 0: "Time/auto", 1: "Normal", 2: "Lowered", 3: "Standby" });
+        declared["cmi.0001-uvr16x2.outputs.a13_state"].states.should.deep.equal({ 0: "Off", 1: "On" });
+        adapter.states["cmi.0001-uvr16x2.inputs.a02_ras"].should.equal(1);
+        adapter.states["cmi.0001-uvr16x2.outputs.a13_state"].should.equal(1);
+    });
+});
+
+describe("main => CMI timestamp", () => {
+    const readNode = async timestamp => {
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "CMI";
+        adapter.getObjectAsync = async () => null;
+        const record = adapter.parseUvrRecordFromJSON({
+            Header: { Version: 7, Device: "87", ...(timestamp !== undefined ? { Timestamp: timestamp } : {}) },
+            Data: { Inputs: [{ Number: 1, AD: "A", Value: { Value: 21.5, Unit: "1" } }] },
+        });
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1], uvr_type_str: ["UVR16x2"], uvr_type_code: ["87"] }, stateValues: [record] };
+        await adapter.declareOrUpdateObjects();
+        return { adapter, record };
+    };
+
+    it("takes the local time sent by the CMI as the time of the values", async () => {
+        // 4.9.2021 14:00 local time of the CMI, sent as UTC
+        const { adapter, record } = await readNode(Date.UTC(2021, 8, 4, 14, 0, 0) / 1000);
+        const sampled = new Date(2021, 8, 4, 14, 0, 0).getTime();
+        expect(record.timestamp).to.equal(sampled);
+        adapter.states["cmi.0001-uvr16x2.inputs.a01"].should.equal(21.5);
+        adapter.timestamps["cmi.0001-uvr16x2.inputs.a01"].should.equal(sampled);
+        adapter.states["cmi.0001-uvr16x2.info.timestamp"].should.equal(sampled);
+    });
+
+    it("takes the time of the reading if the CMI sends no valid timestamp", async () => {
+        for (const timestamp of [undefined, 0, -1, "1630764000", null]) {
+            const before = Date.now();
+            const { adapter, record } = await readNode(timestamp);
+            expect(record.timestamp, String(timestamp)).to.be.undefined;
+            adapter.timestamps["cmi.0001-uvr16x2.inputs.a01"].should.be.within(before, Date.now());
+            expect(adapter.states["cmi.0001-uvr16x2.info.timestamp"]).to.be.undefined;
+        }
+    });
+});
+
+describe("main => controller clock", () => {
+    // 1.3.2024 12:00:30 of the controller
+    const date = { A01: { value: 1 }, A02: { value: 3 }, A03: { value: 24 } };
+    const time = { A01: { value: 30 }, A02: { value: 0 }, A03: { value: 12 } };
+    const createClockAdapter = threshold => {
+        const adapter = createAdapter();
+        adapter.config.clock_drift_threshold = threshold;
+        adapter.getObjectAsync = async () => null;
+        adapter.warnings = [];
+        adapter.log.warn = message => adapter.warnings.push(message);
+        return adapter;
+    };
+
+    it("measures the drift against the time of the reading", async () => {
+        const adapter = createClockAdapter(60);
+        await adapter.updateControllerClock("cmi.0001-uvr16x2.clock", date, time, new Date(2024, 2, 1, 12, 0, 0).getTime());
+        adapter.states["cmi.0001-uvr16x2.clock.datetime"].should.equal(new Date(2024, 2, 1, 12, 0, 30).getTime());
+        adapter.states["cmi.0001-uvr16x2.clock.drift"].should.equal(30);
+        adapter.states["cmi.0001-uvr16x2.clock.drift_alarm"].should.be.false;
+        adapter.warnings.should.be.empty;
+    });
+
+    it("raises the alarm once while the drift exceeds the threshold", async () => {
+        const adapter = createClockAdapter(20);
+        const readingTime = new Date(2024, 2, 1, 12, 1, 0).getTime();
+        await adapter.updateControllerClock("cmi.0001-uvr16x2.clock", date, time, readingTime);
+        await adapter.updateControllerClock("cmi.0001-uvr16x2.clock", date, time, readingTime);
+        adapter.states["cmi.0001-uvr16x2.clock.drift"].should.equal(-30);
+        adapter.states["cmi.0001-uvr16x2.clock.drift_alarm"].should.be.true;
+        adapter.warnings.should.have.lengthOf(1);
+        await adapter.updateControllerClock("cmi.0001-uvr16x2.clock", date, time, new Date(2024, 2, 1, 12, 0, 40).getTime());
+        adapter.states["cmi.0001-uvr16x2.clock.drift_alarm"].should.be.false;
+    });
+
+    it("writes no clock if date or time are incomplete", async () => {
+        const adapter = createClockAdapter(20);
+        await adapter.updateControllerClock("cmi.0001-uvr16x2.clock", date, { A01: time.A01 }, Date.now());
+        adapter.states.should.be.empty;
+    });
+
+    it("takes the timestamp of the CMI response as the time of the reading and writes no separate date and time", async () => {
+        const adapter = createClockAdapter(0);
+        adapter.config.selected_ta_logger = "CMI";
+        adapter.cmiRequests = [];
+        const deleted = [];
+        adapter.getObjectAsync = async id => (id.endsWith(".date") || id.endsWith(".time") ? { type: "folder" } : null);
+        adapter.delObjectAsync = async id => {
+            deleted.push(id);
+        };
+        const record = adapter.parseUvrRecordFromJSON({
+            Header: { Version: 7, Device: "87", Timestamp: Date.UTC(2024, 2, 1, 12, 0, 20) / 1000 },
+            Data: {
+                Date: [1, 3, 24].map((value, i) => ({ Number: i + 1, AD: "A", Value: { Value: value, Unit: 0 } })),
+                Time: [30, 0, 12].map((value, i) => ({ Number: i + 1, AD: "A", Value: { Value: value, Unit: 0 } })),
+            },
+        });
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1], uvr_type_str: ["UVR16x2"], uvr_type_code: ["87"] }, stateValues: [record] };
+        await adapter.declareOrUpdateObjects();
+        adapter.states["cmi.0001-uvr16x2.clock.drift"].should.equal(10);
+        Object.keys(adapter.states).filter(id => id.includes(".date.") || id.includes(".time.")).should.be.empty;
+        deleted.should.deep.equal(["cmi.0001-uvr16x2.date", "cmi.0001-uvr16x2.time"]);
+    });
+});
+
+describe("main => aggregateEnergy", () => {
+    const createEnergyAdapter = () => {
+        const adapter = createAdapter();
+        adapter.getObjectAsync = async () => null;
+        return adapter;
+    };
+    const read = (adapter, reading, time, unit) => adapter.aggregateEnergy("cmi.0001-uvr16x2.energy_periods", "Inputs_A01", { value: reading, unit: unit || "kWh" }, time.getTime());
+    const energy = adapter => {
+        const periods = {};
+        for (const key of ["today", "yesterday", "this_month", "last_month", "this_year", "reading"]) {
+            periods[key] = adapter.states["cmi.0001-uvr16x2.energy_periods.inputs_a01." + key];
+        }
+        return periods;
+    };
+
+    it("starts a new day at midnight, the previous day becomes yesterday", async () => {
+        const adapter = createEnergyAdapter();
+        await read(adapter, 100, new Date(2024, 2, 14, 22, 0));
+        await read(adapter, 103, new Date(2024, 2, 14, 23, 30));
+        energy(adapter).should.deep.equal({ today: 3, yesterday: 0, this_month: 3, last_month: 0, this_year: 3, reading: 103 });
+        await read(adapter, 104, new Date(2024, 2, 15, 0, 30));
+        energy(adapter).should.deep.equal({ today: 1, yesterday: 3, this_month: 4, last_month: 0, this_year: 4, reading: 104 });
+        // no reading on 16.3.: nothing yesterday
+        await read(adapter, 106, new Date(2024, 2, 17, 10, 0));
+        energy(adapter).should.deep.equal({ today: 2, yesterday: 0, this_month: 6, last_month: 0, this_year: 6, reading: 106 });
+    });
+
+    it("starts a new month and a new year", async () => {
+        const adapter = createEnergyAdapter();
+        await read(adapter, 500, new Date(2023, 11, 31, 22, 0));
+        await read(adapter, 510, new Date(2023, 11, 31, 23, 0));
+        await read(adapter, 512, new Date(2024, 0, 1, 1, 0));
+        energy(adapter).should.deep.equal({ today: 2, yesterday: 10, this_month: 2, last_month: 10, this_year: 2, reading: 512 });
+        await read(adapter, 520, new Date(2024, 0, 31, 23, 0));
+        await read(adapter, 521, new Date(2024, 1, 1, 0, 30));
+        energy(adapter).should.deep.equal({ today: 1, yesterday: 8, this_month: 1, last_month: 10, this_year: 11, reading: 521 });
+    });
+
+    it("continues counting from the new reading after a reset or wrap-around of the counter", async () => {
+        const adapter = createEnergyAdapter();
+        // MWh are converted into kWh
+        await read(adapter, 9.99, new Date(2024, 2, 14, 8, 0), "MWh");
+        await read(adapter, 9.995, new Date(2024, 2, 14, 9, 0), "MWh");
+        await read(adapter, 0.001, new Date(2024, 2, 14, 10, 0), "MWh");
+        await read(adapter, 0.004, new Date(2024, 2, 14, 11, 0), "MWh");
+        energy(adapter).should.deep.equal({ today: 8, yesterday: 0, this_month: 8, last_month: 0, this_year: 8, reading: 4 });
+    });
+
+    it("ignores an implausible increase of the counter", async () => {
+        const adapter = createEnergyAdapter();
+        await read(adapter, 100, new Date(2024, 2, 14, 8, 0));
+        // more than ENERGY_MAX_POWER in 10 minutes
+        await read(adapter, 1100, new Date(2024, 2, 14, 8, 10));
+        await read(adapter, 1101, new Date(2024, 2, 14, 8, 20));
+        energy(adapter).today.should.equal(1);
+    });
+});
+
+describe("main => operating hours", () => {
+    const folderId = "cmi.0001-uvr16x2.operating_hours";
+    const createCountingAdapter = states => {
+        const adapter = createAdapter();
+        adapter.config.poll_interval = 60;
+        adapter.getObjectAsync = async () => null;
+        for (const [id, state] of Object.entries(states || {})) {
+            adapter.states[id] = state.val;
+            adapter.timestamps[id] = state.ts;
+        }
+        return adapter;
+    };
+    const read = (adapter, name, on, time) => adapter.countOperatingHours(folderId, name, on, time.getTime());
+    const counter = (adapter, name) => {
+        const id = folderId + "." + name.toLowerCase();
+        return {
+            hours: Math.round(adapter.states[id + ".hours"] * 3600),
+            cycles: adapter.states[id + ".cycles"],
+            hours_today: Math.round(adapter.states[id + ".hours_today"] * 3600),
+            cycles_today: adapter.states[id + ".cycles_today"],
+            hours_yesterday: Math.round(adapter.states[id + ".hours_yesterday"] * 3600),
+            cycles_yesterday: adapter.states[id + ".cycles_yesterday"],
+        };
+    };
+    // the states of an adapter, as the next instance finds them
+    const getStates = adapter => Object.fromEntries(Object.keys(adapter.states).map(id => [id, { val: adapter.states[id], ts: adapter.timestamps[id] }]));
+
+    it("counts the hours while on and the cycles across polls", async () => {
+        const adapter = createCountingAdapter();
+        await read(adapter, "A01", false, new Date(2024, 2, 14, 10, 0, 0));
+        // switched on between the readings: half of the minute
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 1, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 2, 0));
+        await read(adapter, "A01", false, new Date(2024, 2, 14, 10, 3, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 4, 0));
+        // counted in seconds
+        counter(adapter, "A01").should.deep.equal({ hours: 150, cycles: 2, hours_today: 150, cycles_today: 2, hours_yesterday: 0, cycles_yesterday: 0 });
+    });
+
+    it("starts a new day at midnight", async () => {
+        const adapter = createCountingAdapter();
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 23, 58, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 23, 59, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 15, 0, 0, 0));
+        counter(adapter, "A01").should.deep.equal({ hours: 120, cycles: 0, hours_today: 60, cycles_today: 0, hours_yesterday: 60, cycles_yesterday: 0 });
+    });
+
+    it("continues counting after a restart, without counting the time the adapter was stopped", async () => {
+        const adapter = createCountingAdapter();
+        await read(adapter, "A01", false, new Date(2024, 2, 14, 10, 0, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 1, 0));
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 2, 0));
+
+        // restarted on the same day
+        const restarted = createCountingAdapter(getStates(adapter));
+        await read(restarted, "A01", true, new Date(2024, 2, 14, 11, 0, 0));
+        counter(restarted, "A01").should.deep.equal({ hours: 90, cycles: 1, hours_today: 90, cycles_today: 1, hours_yesterday: 0, cycles_yesterday: 0 });
+        await read(restarted, "A01", true, new Date(2024, 2, 14, 11, 1, 0));
+        counter(restarted, "A01").hours.should.equal(150);
+
+        // restarted on the next day: today becomes yesterday
+        const nextDay = createCountingAdapter(getStates(restarted));
+        await read(nextDay, "A01", false, new Date(2024, 2, 15, 8, 0, 0));
+        counter(nextDay, "A01").should.deep.equal({ hours: 150, cycles: 1, hours_today: 0, cycles_today: 0, hours_yesterday: 150, cycles_yesterday: 1 });
+    });
+
+    it("resets the counters of the outputs selected by the command", async () => {
+        const adapter = createCountingAdapter();
+        for (const name of ["A01", "A02"]) {
+            await read(adapter, name, false, new Date(2024, 2, 14, 10, 0, 0));
+            await read(adapter, name, true, new Date(2024, 2, 14, 10, 1, 0));
+        }
+        const responses = [];
+        adapter.sendTo = (from, command, response) => {
+            responses.push(response);
+        };
+        await adapter.onMessage({ command: "resetOperatingHours", message: { id: "operating_hours.a01" }, from: "system.adapter.admin.0", callback: {} });
+        responses.should.deep.equal([{ result: "1 operating hours reset" }]);
+        counter(adapter, "A01").should.deep.equal({ hours: 0, cycles: 0, hours_today: 0, cycles_today: 0, hours_yesterday: 0, cycles_yesterday: 0 });
+        counter(adapter, "A02").hours.should.equal(30);
+        // counting continues from 0
+        await read(adapter, "A01", true, new Date(2024, 2, 14, 10, 2, 0));
+        counter(adapter, "A01").hours.should.equal(60);
+
+        await adapter.onMessage({ command: "resetOperatingHours", message: {}, from: "system.adapter.admin.0", callback: {} });
+        responses[1].should.deep.equal({ result: "2 operating hours reset" });
+        counter(adapter, "A02").hours.should.equal(0);
+        await adapter.onMessage({ command: "resetOperatingHours", message: { id: "operating_hours.a09" }, from: "system.adapter.admin.0", callback: {} });
+        responses[2].should.deep.equal({ error: "No operating hours found for operating_hours.a09" });
+    });
+});
+
+describe("main => virtual heat meters", () => {
+    const createMeterAdapter = (definitions, states) => {
+        const adapter = createAdapter();
+        adapter.config.poll_interval = 60;
+        adapter.getObjectAsync = async () => null;
+        adapter.errors = [];
+        adapter.warnings = [];
+        adapter.log.error = message => adapter.errors.push(message);
+        adapter.log.warn = message => adapter.warnings.push(message);
+        Object.assign(adapter.states, states);
+        adapter.virtualHeatMeters = adapter.parseVirtualHeatMeters(definitions);
+        return adapter;
+    };
+    const solar = { name: "Solar", channel: 1, flow: "5", supply: "S01", return: "a02", fluid: "water" };
+    const inputs = (flow, supply, ret) => ({ A01: { value: supply, unit: "°C" }, A02: { value: ret, unit: "°C" }, A05: { value: flow, unit: "l/h" } });
+    const read = (adapter, values, time) => adapter.updateVirtualHeatMeters("cmi.0001-uvr16x2.", 1, values, time);
+    const powerId = "cmi.0001-uvr16x2.thermal_energy_counters.virtual_solar_power";
+    const energyId = "cmi.0001-uvr16x2.thermal_energy_counters.virtual_solar_energy";
+
+    it("takes the inputs as number, with S or with A", () => {
+        const [meter] = createMeterAdapter([solar]).virtualHeatMeters;
+        meter.should.include({ id: "virtual_solar", channel: 1, flow: "A05", supply: "A01", return: "A02", fluid: "water", energy: null });
+    });
+
+    it("skips invalid definitions", () => {
+        const adapter = createMeterAdapter([solar, { ...solar }, { ...solar, name: "No channel", channel: "" }, { ...solar, name: "No flow", flow: "" }, { ...solar, name: "Digital return", return: "D02" }, { ...solar, name: "Oil", fluid: "oil" }, { ...solar, name: "" }]);
+        adapter.virtualHeatMeters.map(meter => meter.name).should.deep.equal(["Solar"]);
+        adapter.errors.should.have.lengthOf(6);
+    });
+
+    it("calculates the power from flow, temperature difference and fluid and integrates it into the energy", async () => {
+        const adapter = createMeterAdapter([solar, { ...solar, name: "Glycol", fluid: "glycol_40" }]);
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 0).getTime());
+        // 1200 l/h = 1/3 kg/s * 0.992, 4.18 kJ/(kg K), 10 K
+        adapter.states[powerId].should.equal(13.822);
+        adapter.states["cmi.0001-uvr16x2.thermal_energy_counters.virtual_glycol_power"].should.equal(12.728);
+        adapter.states[energyId].should.equal(0);
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 1).getTime());
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 2).getTime());
+        // 13.822 kW for two minutes
+        adapter.states[energyId].should.equal(0.461);
+    });
+
+    it("counts no negative power", async () => {
+        const adapter = createMeterAdapter([solar]);
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 0).getTime());
+        await read(adapter, inputs(1200, 50, 60), new Date(2024, 2, 14, 10, 1).getTime());
+        adapter.states[powerId].should.equal(-13.822);
+        adapter.states[energyId].should.equal(0);
+    });
+
+    it("continues from the energy of the previous instance", async () => {
+        const adapter = createMeterAdapter([solar], { [energyId]: 100 });
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 0).getTime());
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 1).getTime());
+        adapter.states[energyId].should.equal(100.23);
+    });
+
+    it("writes no power and keeps the energy if an input is missing or faulty", async () => {
+        const adapter = createMeterAdapter([solar]);
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 0).getTime());
+        await read(adapter, inputs(1200, 60, 50), new Date(2024, 2, 14, 10, 1).getTime());
+        const missing = { ...inputs(1200, 60, 50), A02: undefined };
+        await read(adapter, missing, new Date(2024, 2, 14, 10, 2).getTime());
+        await read(adapter, missing, new Date(2024, 2, 14, 10, 3).getTime());
+        expect(adapter.states[powerId]).to.be.null;
+        adapter.states[energyId].should.equal(0.23);
+        // warned once
+        adapter.warnings.should.deep.equal(['Virtual heat meter "Solar" needs a flow input (l/h), a supply and a return input (°C)']);
+        const faulty = inputs(1200, 60, 50);
+        faulty.A01.q = 0x84;
+        await read(adapter, faulty, new Date(2024, 2, 14, 10, 4).getTime());
+        expect(adapter.states[powerId]).to.be.null;
+        adapter.warnings[1].should.equal('Virtual heat meter "Solar" has an input with sensor fault');
+    });
+
+    it("calculates only the meters of the channel", async () => {
+        const adapter = createMeterAdapter([{ ...solar, channel: 2 }]);
+        await read(adapter, inputs(1200, 60, 50), Date.now());
+        adapter.states.should.be.empty;
+    });
+});
+
+describe("main => backfill from the data logger memory", () => {
+    let sinceTimestamps;
+    const createBlnetAdapter = () => {
+        sinceTimestamps = [];
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "BL-NET";
+        adapter.config.blnet_backfill_mode = "since_last";
+        adapter.config.blnet_history_instance = "history.0";
+        adapter.config.winsol_export = "off";
+        adapter.storeHistoricRecords = async () => 0;
+        adapter.downloadLogMemory = async sinceTs => {
+            sinceTimestamps.push(sinceTs);
+            return { entries: [], count: 0, failed: 0, endAddress: 0 };
+        };
+        return adapter;
+    };
+
+    it("downloads only the records of the last day on the first run", async () => {
+        const adapter = createBlnetAdapter();
+        (await adapter.backfillFromLogMemory()).should.be.true;
+        sinceTimestamps[0].should.be.closeTo(Date.now() - 24 * 3600000, 1000);
+    });
+    it("downloads only the records logged after the newest record read from the memory", async () => {
+        const adapter = createBlnetAdapter();
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1] } };
+        const download = adapter.downloadLogMemory;
+        adapter.downloadLogMemory = async sinceTs => ({ ...(await download(sinceTs)), entries: [{ timestamp: 3000 }, { timestamp: 5000 }] });
+        await adapter.backfillFromLogMemory();
+        await adapter.backfillFromLogMemory();
+        sinceTimestamps[1].should.equal(5000);
+    });
+    it("reports a failed backfill to retry it", async () => {
+        const adapter = createBlnetAdapter();
+        adapter.downloadLogMemory = async () => {
+            throw new Error("timeout");
+        };
+        (await adapter.backfillFromLogMemory()).should.be.false;
+    });
+    it("remembers the newest record read by a transfer without backfill", async () => {
+        const adapter = createBlnetAdapter();
+        adapter.config.blnet_backfill_mode = "off";
+        adapter.downloadLogMemory = async () => ({ entries: [{ timestamp: 5000 }], count: 1, failed: 0, endAddress: 0 });
+        await adapter.transferLogMemory();
+        (await adapter.getStateAsync("info.last_log_record")).val.should.equal(5000);
+    });
+});
+
+describe("main => clearLogMemory", () => {
+    const createClearAdapter = (memory, storedTimestamps) => {
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "BL-NET";
+        adapter.config.blnet_history_instance = "history.0";
+        adapter.config.winsol_export = "off";
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1] } };
+        adapter.getChannelId = () => "blnet.node_1";
+        adapter.getForeignObjectAsync = async () => ({ common: { custom: { "history.0": { enabled: true } } } });
+        adapter.stored = [];
+        adapter.sendToAsync = async (instance, command, message) => {
+            if (command === "getHistory") {
+                return { result: storedTimestamps.filter(ts => ts >= message.options.start && ts < message.options.end).map(ts => ({ ts: ts, val: 20 })) };
+            }
+            adapter.stored.push(...message.state.map(state => state.ts));
+            return { success: true };
+        };
+        adapter.downloadLogMemory = async sinceTs => ({
+            entries: memory.filter(ts => ts > sinceTs).map(ts => ({ deviceIndex: 0, timestamp: ts, record: { Inputs: { A01: { value: 20, unit: "°C" } } } })),
+            count: memory.length,
+            failed: 0,
+            endAddress: 0x100,
+        });
+        adapter.readLogMemoryLayout = async () => ({ count: memory.length, endAddress: 0x100 });
+        adapter.resets = 0;
+        adapter.resetLogMemory = async () => {
+            adapter.resets++;
+        };
+        return adapter;
+    };
+
+    it("stores the records older than the last known record before clearing the memory", async () => {
+        const adapter = createClearAdapter([1000, 3000, 6000], [3000]);
+        await adapter.setState("info.last_log_record", 5000, true);
+        const response = await adapter.clearLogMemory({ confirm: "CLEAR" });
+        response.should.deep.equal({ result: "Data logger memory cleared after transferring 2 records" });
+        adapter.stored.should.deep.equal([1000, 6000]);
+        adapter.resets.should.equal(1);
+        (await adapter.getStateAsync("info.last_log_record")).val.should.equal(6000);
+    });
+
+    it("does not clear the memory without confirmation", async () => {
+        const adapter = createClearAdapter([1000], []);
+        (await adapter.clearLogMemory({})).should.have.property("error");
+        adapter.resets.should.equal(0);
+    });
+
+    it("does not clear the memory if records could not be read", async () => {
+        const adapter = createClearAdapter([1000], []);
+        const download = adapter.downloadLogMemory;
+        adapter.downloadLogMemory = async sinceTs => ({ ...(await download(sinceTs)), failed: 1 });
+        (await adapter.clearLogMemory({ confirm: "CLEAR" })).error.should.equal("Data logger memory not cleared: 1 records could not be read");
+        adapter.resets.should.equal(0);
+    });
+});
+
+describe("main => sending CoE values", () => {
+    const createCoeAdapter = () => {
+        const adapter = createAdapter();
+        adapter.config.ip_address = "192.168.0.10";
+        adapter.coeSendStates = adapter.parseCoeSendStates([
+            { name: "outside", node: 30, type: "analog", number: 1, unit: 1 },
+            { name: "flow", node: 30, type: "analog", number: 2, unit: 1 },
+            { name: "pump", node: 30, type: "digital", number: 3 },
+            { name: "return", node: 30, type: "analog", number: 5, unit: 1 },
+        ]);
+        adapter.packets = [];
+        adapter.coeSendSocket = {
+            send: (packet, port, address, callback) => {
+                adapter.packets.push({ packet: packet.toString("hex"), port: port, address: address });
+                callback(null);
+            },
+        };
+        return adapter;
+    };
+
+    it("skips a block with values not known yet", async () => {
+        const adapter = createCoeAdapter();
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: 21.5, ack: false });
+        adapter.packets.should.be.empty;
+        adapter.states["coe_send.info.error"].should.equal("No value to send for flow, not sent: outside, flow");
+        expect(adapter.states["coe_send.outside"]).to.be.undefined;
+    });
+
+    it("sends the block of a changed value and acknowledges the value", async () => {
+        const adapter = createCoeAdapter();
+        adapter.coeSendStates["coe_send.flow"].value = 45;
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: 21.5, ack: false });
+        adapter.packets.should.deep.equal([{ packet: "1e01" + "d700" + "c201" + "0000" + "0000" + "01010000", port: 5441, address: "192.168.0.10" }]);
+        adapter.states["coe_send.outside"].should.equal(21.5);
+        adapter.states["coe_send.info.error"].should.equal("");
+        adapter.states["coe_send.info.last_sent"].should.be.a("number");
+    });
+
+    it("acknowledges a digital value as boolean", async () => {
+        const adapter = createCoeAdapter();
+        await adapter.onStateChange("ta-blnet.0.coe_send.pump", { val: true, ack: false });
+        adapter.packets[0].packet.should.equal("1e00" + "0400" + "00000000000000000000");
+        adapter.states["coe_send.pump"].should.equal(true);
+    });
+
+    it("refreshes all blocks, skipping only the blocks with missing values", async () => {
+        const adapter = createCoeAdapter();
+        adapter.coeSendStates["coe_send.return"].value = 30;
+        await adapter.sendCoeValues();
+        adapter.packets.map(sent => sent.packet.substring(0, 4)).should.deep.equal(["1e02"]);
+        adapter.states["coe_send.info.error"].should.contain("No value to send for outside, flow").and.contain("No value to send for pump");
+    });
+
+    it("ignores acknowledged values and unknown states", async () => {
+        const adapter = createCoeAdapter();
+        adapter.coeSendStates["coe_send.flow"].value = 45;
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: 21.5, ack: true });
+        await adapter.onStateChange("ta-blnet.0.coe_send.unknown", { val: 1, ack: false });
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", null);
+        adapter.packets.should.be.empty;
+        expect(adapter.coeSendStates["coe_send.outside"].value).to.be.null;
+    });
+
+    it("rejects a value out of range and keeps the last valid value", async () => {
+        const adapter = createCoeAdapter();
+        adapter.coeSendStates["coe_send.flow"].value = 45;
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: 21.5, ack: false });
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: 5000, ack: false });
+        await adapter.onStateChange("ta-blnet.0.coe_send.outside", { val: "warm", ack: false });
+        adapter.packets.should.have.lengthOf(1);
+        adapter.coeSendStates["coe_send.outside"].value.should.equal(21.5);
+        adapter.states["coe_send.info.error"].should.equal("outside: Invalid value warm");
+    });
+});
+
+describe("main => readWinsolLogFile", () => {
+    const os = require("node:os");
+    const winsol = require("./lib/winsol");
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "ta-blnet-"));
+    });
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const readFile = async data => {
+        const fileName = path.join(directory, "Y202410.log");
+        fs.writeFileSync(fileName, data);
+        return createAdapter().readWinsolLogFile({ fileName: fileName, year: 2024, month: 10 });
+    };
+    const frame = Buffer.alloc(56);
+    frame[0] = winsol.IDENTIFIER_UVR1611;
+
+    it("reads the records sorted by time", async () => {
+        const logFile = await readFile(Buffer.concat([winsol.createHeader(winsol.IDENTIFIER_UVR1611), winsol.encodeRecord(frame, new Date(2024, 9, 2, 12, 0, 0)), winsol.encodeRecord(frame, new Date(2024, 9, 1, 12, 0, 0))]));
+        expect(logFile.identifier).to.equal(winsol.IDENTIFIER_UVR1611);
+        logFile.entries.map(entry => entry.timestamp).should.deep.equal([new Date(2024, 9, 1, 12, 0, 0).getTime(), new Date(2024, 9, 2, 12, 0, 0).getTime()]);
+    });
+
+    it("skips records without a valid time and an incomplete last record", async () => {
+        const record = winsol.encodeRecord(frame, new Date(2024, 9, 1, 12, 0, 0));
+        const logFile = await readFile(Buffer.concat([winsol.createHeader(winsol.IDENTIFIER_UVR1611), Buffer.alloc(59), record, record.subarray(0, 30)]));
+        logFile.entries.should.have.lengthOf(1);
+    });
+
+    it("reads no records of files with an unknown or short header", async () => {
+        const header = winsol.createHeader(winsol.IDENTIFIER_UVR1611);
+        header[7] = 0x05;
+        const unknown = await readFile(Buffer.concat([header, winsol.encodeRecord(frame, new Date(2024, 9, 1))]));
+        expect(unknown.identifier).to.be.null;
+        unknown.entries.should.be.empty;
+        const short = await readFile(winsol.createHeader(winsol.IDENTIFIER_UVR1611).subarray(0, 20));
+        expect(short.identifier).to.be.null;
+        short.entries.should.be.empty;
+        const empty = await readFile(Buffer.alloc(0));
+        empty.entries.should.be.empty;
+    });
+});
+
+describe("main => findHistoricReferenceId", () => {
+    const record = {
+        Outputs: { A01: { value: 1 } },
+        Inputs: { S01: { value: 20.5 }, S02: { value: 30.1 } },
+    };
+    const createHistoryAdapter = loggedIds => {
+        const adapter = createAdapter();
+        adapter.config.blnet_history_instance = "history.0";
+        adapter.getForeignObjectAsync = async id => ({ common: loggedIds.includes(id) ? { custom: { "history.0": { enabled: true } } } : {} });
+        return adapter;
+    };
+
+    it("prefers an input logged by the history instance", async () => {
+        const adapter = createHistoryAdapter(["ta-blnet.0.blnet.node_1.outputs.a01", "ta-blnet.0.blnet.node_1.inputs.s02"]);
+        const id = await adapter.findHistoricReferenceId("blnet.node_1", record);
+        expect(id).to.equal(adapter.getHistoricStateId("blnet.node_1", "Inputs", "S02"));
+    });
+
+    it("takes any state logged by the history instance", async () => {
+        const adapter = createHistoryAdapter(["ta-blnet.0.blnet.node_1.outputs.a01"]);
+        const id = await adapter.findHistoricReferenceId("blnet.node_1", record);
+        expect(id).to.equal(adapter.getHistoricStateId("blnet.node_1", "Outputs", "A01"));
+    });
+
+    it("finds no state if none is logged by the history instance", async () => {
+        const adapter = createHistoryAdapter([]);
+        expect(await adapter.findHistoricReferenceId("blnet.node_1", record)).to.be.null;
+    });
+});
+
+describe("main => parseSensorInputs", () => {
+    const adapter = createAdapter();
+    const parse = (lowByte, highByte) => adapter.parseSensorInputs([lowByte, highByte], { S01: [0, 1] }).A01;
+
+    it("decodes type 0x60 as radiation in W/m²", () => {
+        parse(0x2c, 0x61).should.deep.equal({ value: 300, unit: adapter.cmiUnits[2] });
+    });
+
+    it("decodes the undocumented types 0x40 and 0x50 as raw values without unit", () => {
+        parse(0x2c, 0x41).should.deep.equal({ value: 300, unit: adapter.cmiUnits[0] });
+        parse(0x2c, 0x51).should.deep.equal({ value: 300, unit: adapter.cmiUnits[0] });
+    });
+
+    it("decodes temperatures and flow rates", () => {
+        parse(0x8e, 0x20).should.deep.equal({ value: 14.2, unit: adapter.cmiUnits[1] });
+        parse(0xf6, 0xaf).should.deep.equal({ value: -1, unit: adapter.cmiUnits[1] });
+        parse(0x19, 0x30).should.deep.equal({ value: 100, unit: adapter.cmiUnits[3] });
+    });
+});
+
+describe("main => executeCommand", () => {
+    const createBlnetAdapter = config => {
+        const adapter = createAdapter();
+        Object.assign(adapter.config, config);
+        adapter.sleeps = [];
+        adapter.setTimeout = (callback, ms) => {
+            adapter.sleeps.push(ms);
+            callback();
+            return null;
+        };
+        adapter.openBlnetConnection = async () => ({});
+        adapter.transmitCommand = async () => Buffer.from([0x01]);
+        adapter.lastCommandTime = Date.now();
+        return adapter;
+    };
+
+    it("keeps the configured delay between commands", async () => {
+        const adapter = createBlnetAdapter({ blnet_command_delay: 2000 });
+        await adapter.executeCommand(new Uint8Array([0x81]), 1);
+        adapter.sleeps.should.have.lengthOf(1);
+        adapter.sleeps[0].should.be.within(1900, 2000);
+    });
+
+    it("keeps a delay of 500 ms between commands if no delay is configured", async () => {
+        const adapter = createBlnetAdapter({});
+        await adapter.executeCommand(new Uint8Array([0x81]), 1);
+        adapter.sleeps.should.have.lengthOf(1);
+        adapter.sleeps[0].should.be.within(400, 500);
+    });
+
+    it("sends without delay if configured", async () => {
+        const adapter = createBlnetAdapter({ blnet_command_delay: 0 });
+        await adapter.executeCommand(new Uint8Array([0x81]), 1);
+        adapter.sleeps.should.be.empty;
+    });
+});
+
+describe("main => transmitCommand", () => {
+    // stands in for the socket connected to the BL-NET
+    class FakeSocket extends EventEmitter {
+        constructor() {
+            super();
+            this.written = [];
+        }
+        write(data) {
+            this.written.push(data);
+        }
+        destroy() {
+            this.destroyed = true;
+        }
+    }
+    const createBlnetAdapter = () => {
+        const adapter = createAdapter();
+        adapter.setTimeout = callback => {
+            adapter.timeoutCallback = callback;
+            return null;
+        };
+        return adapter;
+    };
+    const isPending = async promise => {
+        const pending = {};
+        return (await Promise.race([promise, new Promise(resolve => setImmediate(() => resolve(pending)))])) === pending;
+    };
+
+    it("collects the chunks of a response until it has the expected length", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        const response = adapter.transmitCommand(socket, new Uint8Array([0x82]), 4);
+        socket.written.should.deep.equal([Buffer.from([0x82])]);
+        socket.emit("data", Buffer.from([0x01, 0x02]));
+        socket.emit("data", Buffer.from([0x03]));
+        (await isPending(response)).should.be.true;
+        socket.emit("data", Buffer.from([0x04]));
+        (await response).should.deep.equal(Buffer.from([0x01, 0x02, 0x03, 0x04]));
+        socket.listenerCount("data").should.equal(0);
+    });
+
+    it("derives the expected length from the chunks received so far", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        // the length of a UVR61-3 frame is known from its first byte
+        const frame = Buffer.alloc(26, 0x11);
+        frame[0] = 0x90;
+        const response = adapter.transmitCommand(socket, new Uint8Array([0xab, 0x01]), data => adapter.getCurrentDataFrameLength(data));
+        socket.emit("data", frame.subarray(0, 10));
+        socket.emit("data", frame.subarray(10, 25));
+        (await isPending(response)).should.be.true;
+        socket.emit("data", frame.subarray(25));
+        (await response).should.deep.equal(frame);
+    });
+
+    it("discards the surplus bytes of an oversized response", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        const response = adapter.transmitCommand(socket, new Uint8Array([0x81]), 3);
+        socket.emit("data", Buffer.from([0x01, 0x02, 0x03, 0x04, 0x05]));
+        (await response).should.deep.equal(Buffer.from([0x01, 0x02, 0x03]));
+    });
+
+    it("takes no data arriving after the response for the response of the next command", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        const first = adapter.transmitCommand(socket, new Uint8Array([0x81]), 1);
+        socket.emit("data", Buffer.from([0x01]));
+        (await first).should.deep.equal(Buffer.from([0x01]));
+        // late data while no command is waiting
+        socket.emit("data", Buffer.from([0xff]));
+        const second = adapter.transmitCommand(socket, new Uint8Array([0x82]), 1);
+        socket.emit("data", Buffer.from([0x02]));
+        (await second).should.deep.equal(Buffer.from([0x02]));
+    });
+
+    it("drops the connection if the response is incomplete when the time is up", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        adapter.blnetSocket = socket;
+        const response = adapter.transmitCommand(socket, new Uint8Array([0xab, 0x01]), 57, 1000);
+        socket.emit("data", Buffer.alloc(20));
+        adapter.timeoutCallback();
+        await response.should.be.rejectedWith("No complete response from BL-NET within 1000 ms, received 20 bytes");
+        expect(socket.destroyed).to.be.true;
+        expect(adapter.blnetSocket).to.be.null;
+        socket.listenerCount("data").should.equal(0);
+    });
+
+    it("rejects if the BL-NET closes the connection", async () => {
+        const adapter = createBlnetAdapter();
+        const socket = new FakeSocket();
+        const response = adapter.transmitCommand(socket, new Uint8Array([0x81]), 1);
+        socket.emit("close");
+        await response.should.be.rejected.and.eventually.have.property("connectionLost", true);
+    });
+
+    it("receives a response sent in chunks over a TCP connection", async () => {
+        const frame = Buffer.from(Array.from({ length: 57 }, (_, i) => i));
+        frame[0] = 0x80;
+        const server = net.createServer(connection => {
+            connection.on("data", () => {
+                connection.write(frame.subarray(0, 1));
+                setTimeout(() => connection.write(frame.subarray(1, 30)), 10);
+                setTimeout(() => connection.write(frame.subarray(30)), 20);
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        const adapter = createAdapter();
+        adapter.config.ip_address = "127.0.0.1";
+        const address = server.address();
+        adapter.config.port = address && typeof address === "object" ? address.port : 0;
+        try {
+            const socket = await adapter.openBlnetConnection();
+            (await adapter.openBlnetConnection()).should.equal(socket);
+            (await adapter.transmitCommand(socket, new Uint8Array([0xab, 0x01]), data => adapter.getCurrentDataFrameLength(data))).should.deep.equal(frame);
+        } finally {
+            adapter.closeBlnetConnection();
+            await new Promise(resolve => server.close(() => resolve(undefined)));
+        }
+    });
+});
+
+describe("main => fetchDataBlockFromDevice", () => {
+    // 0x80 + 0x01 + 0x02 = 0x83
+    const validFrame = Buffer.from([0x80, 0x01, 0x02, 0x83]);
+    const corruptFrame = Buffer.from([0x80, 0x01, 0x02, 0x84]);
+    const createBlnetAdapter = responses => {
+        const adapter = createAdapter();
+        adapter.sent = 0;
+        adapter.sendCommand = async () => responses[adapter.sent++];
+        return adapter;
+    };
+
+    it("verifies the sum of the bytes mod 256 in the last byte", () => {
+        const adapter = createAdapter();
+        adapter.hasValidChecksum(validFrame).should.be.true;
+        adapter.hasValidChecksum(corruptFrame).should.be.false;
+        // 0xff + 0x02 = 0x101
+        adapter.hasValidChecksum(Buffer.from([0xff, 0x02, 0x01])).should.be.true;
+    });
+
+    it("passes a frame with a valid checksum without counting it", async () => {
+        const adapter = createBlnetAdapter([validFrame]);
+        (await adapter.fetchDataBlockFromDevice(new Uint8Array([0xab]))).should.equal(validFrame);
+        adapter.sent.should.equal(1);
+        expect(adapter.states["info.rejected_frames"]).to.be.undefined;
+    });
+
+    it("rejects and counts a frame with a wrong checksum, then retries", async () => {
+        const adapter = createBlnetAdapter([corruptFrame, validFrame]);
+        (await adapter.fetchDataBlockFromDevice(new Uint8Array([0xab]))).should.equal(validFrame);
+        adapter.sent.should.equal(2);
+        adapter.states["info.rejected_frames"].should.equal(1);
+    });
+
+    it("gives up after five frames with a wrong checksum, all counted", async () => {
+        const adapter = createBlnetAdapter(Array(5).fill(corruptFrame));
+        adapter.states["info.rejected_frames"] = 3;
+        await adapter.fetchDataBlockFromDevice(new Uint8Array([0xab])).should.be.rejectedWith("Max retries reached");
+        adapter.sent.should.equal(5);
+        adapter.states["info.rejected_frames"].should.equal(8);
+    });
+});
+
+describe("main => read_BLNET_CanNodeNumbers", () => {
+    const createBlnetAdapter = (reply, numberOfDataFrames) => {
+        const adapter = createAdapter();
+        adapter.numberOfDataFrames = numberOfDataFrames;
+        adapter.warnings = [];
+        adapter.log.warn = message => adapter.warnings.push(message);
+        adapter.sendCommand = async (command, responseLength) => {
+            adapter.sentCommand = { command: Array.from(command), responseLength: responseLength };
+            if (reply instanceof Error) {
+                throw reply;
+            }
+            return reply;
+        };
+        return adapter;
+    };
+    // number of CAN data frames, the CAN node number of each data frame, padded to 18 bytes
+    const createReply = bytes => Buffer.concat([Buffer.from(bytes), Buffer.alloc(18 - bytes.length)]);
+
+    it("reads the CAN node number of each data frame", async () => {
+        const adapter = createBlnetAdapter(createReply([3, 1, 5, 62]), 3);
+        (await adapter.read_BLNET_CanNodeNumbers()).should.deep.equal([1, 5, 62]);
+        adapter.sentCommand.should.deep.equal({ command: [0x97], responseLength: 18 });
+        adapter.warnings.should.be.empty;
+    });
+
+    it("numbers the data frames instead if the reply is empty", async () => {
+        const adapter = createBlnetAdapter(Buffer.alloc(0), 2);
+        (await adapter.read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+        adapter.warnings.should.have.lengthOf(1);
+    });
+
+    it("numbers the data frames instead if the reply lists another number of data frames", async () => {
+        const adapter = createBlnetAdapter(createReply([2, 1, 5]), 3);
+        (await adapter.read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+        adapter.warnings[0].should.contain("CAN configuration lists 2 data frames instead of 3");
+    });
+
+    it("numbers the data frames instead if the reply has invalid CAN node numbers", async () => {
+        (await createBlnetAdapter(createReply([2, 0, 5]), 2).read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+        (await createBlnetAdapter(createReply([2, 1, 63]), 2).read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+        (await createBlnetAdapter(createReply([2, 7, 7]), 2).read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+    });
+
+    it("numbers the data frames instead if the CAN configuration cannot be read", async () => {
+        const adapter = createBlnetAdapter(new Error("Connection closed unexpectedly"), 2);
+        (await adapter.read_BLNET_CanNodeNumbers()).should.deep.equal([]);
+        adapter.warnings[0].should.contain("Connection closed unexpectedly");
+    });
+
+    it("names the channels in CAN mode by the CAN node numbers, else by the data frames", async () => {
+        // header of mode 0xDC with two CAN data frames of a UVR1611
+        const header = Buffer.from([0x01, 0xdc, 0x00, 0x00, 0x00, 0x02, 0x76, 0x76, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+        header[14] = header.reduce((sum, byte) => sum + byte, 0) % 0x100;
+        const readDeviceInfo = async reply => {
+            const adapter = createBlnetAdapter(reply, 0);
+            const responses = { 0x81: Buffer.from([0xa3]), 0xaa: header, 0x82: Buffer.from([0xa0]), 0x21: Buffer.from([0x00]) };
+            const readCanConfiguration = adapter.sendCommand;
+            adapter.sendCommand = async (command, responseLength) => (command[0] === 0x97 ? readCanConfiguration(command, responseLength) : responses[command[0]]);
+            return adapter.read_BLNET_DeviceInfo();
+        };
+        const deviceInfo = await readDeviceInfo(createReply([2, 3, 12]));
+        deviceInfo.uvr_mode.should.equal("2CAN");
+        deviceInfo.channelNodes.should.deep.equal([3, 12]);
+        (await readDeviceInfo(Buffer.alloc(0))).channelNodes.should.deep.equal([1, 2]);
+    });
+});
+
+describe("main => parseUvr61_3RecordFromBuffer", () => {
+    // current data of a UVR61-3 (identifier 0x90), laid out as the DS_UVR61_3 record in doc/dl-lesen.h without date and time
+    const createFrame = heatMeterActive => {
+        const frame = Buffer.from(
+            "90" +
+                // S1: 21.5 °C, S2: -5.3 °C, S3: 60.0 °C, S4: 100 * 4 l/h, S5: digital on, S6: unused
+                "d720cbaf5822643000900000" +
+                // outputs A1 and A3 on, speed level 12 of A1 active, analog output 5.5 V
+                "058c37" +
+                // heat meter, volume flow 360 l/h, power 7.5 kW, 31.5 kWh and 12 MWh, checksum
+                (heatMeterActive ? "01" : "00") +
+                "68014b003b010c00" +
+                "00",
+            "hex",
+        );
+        frame[frame.length - 1] = frame.subarray(0, frame.length - 1).reduce((sum, byte) => sum + byte, 0) % 0x100;
+        return frame;
+    };
+
+    it("parses the sensors, outputs and speed level", () => {
+        const adapter = createAdapter();
+        const frame = createFrame(true);
+        frame.should.have.lengthOf(26);
+        adapter.hasValidChecksum(frame).should.be.true;
+        const record = adapter.parseUvrRecordFromBuffer(frame);
+        record.Inputs.A01.should.deep.equal({ value: 21.5, unit: "°C" });
+        record.Inputs.A02.should.deep.equal({ value: -5.3, unit: "°C" });
+        record.Inputs.A03.should.deep.equal({ value: 60, unit: "°C" });
+        record.Inputs.A04.should.deep.equal({ value: 400, unit: "l/h" });
+        record.Inputs.D05.value.should.equal(1);
+        record.Inputs.A06.value.should.equal(0);
+        record.Outputs.D01.value.should.equal(1);
+        record.Outputs.D02.value.should.equal(0);
+        record.Outputs.D03.value.should.equal(1);
+        record.Outputs.AO1.should.deep.equal({ value: 5.5, unit: "V" });
+        record.speed_levels.DzA1.value.should.equal(12);
+    });
+
+    it("parses the heat meter with volume flow, power and energy of kWh and MWh", () => {
+        const record = createAdapter().parseUvrRecordFromBuffer(createFrame(true));
+        record.thermal_energy_counters_status.wmz1.value.should.be.true;
+        record.thermal_energy_counters.volume_flow1.should.deep.equal({ value: 360, unit: "l/h" });
+        record.thermal_energy_counters.current_heat_power1.should.deep.equal({ value: 7.5, unit: "kW" });
+        record.thermal_energy_counters.total_heat_energy1.should.deep.equal({ value: 12031.5, unit: "kWh" });
+    });
+
+    it("reports no heat meter values if the heat meter is inactive", () => {
+        const record = createAdapter().parseUvrRecordFromBuffer(createFrame(false));
+        record.thermal_energy_counters_status.wmz1.value.should.be.false;
+        record.thermal_energy_counters.volume_flow1.value.should.equal(0);
+        record.thermal_energy_counters.current_heat_power1.value.should.equal(0);
+        record.thermal_energy_counters.total_heat_energy1.value.should.equal(0);
+    });
+});
+
+describe("main => 2DL mode", () => {
+    // current data of a UVR1611 (identifier 0x80), S1 = 5.1 °C
+    const telegram = Buffer.from(fs.readFileSync(path.join(__dirname, "doc", "telegramm.uvr1611.txt"), "utf8").replace(/\s/g, ""), "hex");
+    const withChecksum = bytes => {
+        const frame = Buffer.concat([bytes, Buffer.alloc(1)]);
+        frame[frame.length - 1] = bytes.reduce((sum, byte) => sum + byte, 0) % 0x100;
+        return frame;
+    };
+    // the records of both devices in a single frame, S1 of the second device = 21.5 °C
+    const record2 = Buffer.from(telegram.subarray(1, 56));
+    record2[0] = 0xd7;
+    record2[1] = 0x20;
+    const currentData = withChecksum(Buffer.concat([telegram.subarray(0, 56), Buffer.from([0x80]), record2]));
+    // header of mode 0xD1 with the record length 0x76 of a UVR1611 for both devices
+    const header = withChecksum(Buffer.from([0x01, 0xd1, 0x00, 0x00, 0x00, 0x76, 0x76, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+    const responses = {
+        0x81: Buffer.from([0xa3]),
+        0xaa: header,
+        0x82: Buffer.from([0xa0]),
+        0x21: Buffer.from([0x00]),
+        0xab: currentData,
+    };
+
+    it("reads the sample telegram as the current data of a UVR1611", () => {
+        telegram.should.have.lengthOf(57);
+        const adapter = createAdapter();
+        adapter.hasValidChecksum(telegram).should.be.true;
+        adapter.parseUvrRecordFromBuffer(telegram).Inputs.A01.value.should.equal(5.1);
+    });
+
+    it("splits the data frame of 2DL mode into one channel per device", async () => {
+        const adapter = createAdapter();
+        adapter.config.selected_ta_logger = "BL-NET";
+        adapter.sendCommand = async (command, responseLength) => {
+            const response = responses[command[0]];
+            if (typeof responseLength === "function") {
+                responseLength(response).should.equal(response.length);
+            }
+            return response;
+        };
+        const declared = [];
+        adapter.setObjectNotExistsAsync = async id => {
+            declared.push(id);
+        };
+        adapter.getObjectAsync = async () => null;
+        adapter.systemConfiguration = await adapter.readSystemConfiguration();
+        adapter.systemConfiguration.success.should.be.true;
+        adapter.systemConfiguration.deviceInfo.uvr_mode.should.equal("2DL");
+        adapter.systemConfiguration.deviceInfo.channelNodes.should.deep.equal([1, 2]);
+        adapter.systemConfiguration.stateValues.should.have.lengthOf(2);
+
+        await adapter.declareOrUpdateObjects();
+        declared.should.include.members(["bl-net.0001-uvr1611", "bl-net.0002-uvr1611"]);
+        adapter.states["bl-net.0001-uvr1611.inputs.a01"].should.equal(5.1);
+        adapter.states["bl-net.0002-uvr1611.inputs.a01"].should.equal(21.5);
+        // all other values of the second device are the same as of the first device
+        for (const [id, value] of Object.entries(adapter.states)) {
+            if (id.startsWith("bl-net.0001-uvr1611.") && id !== "bl-net.0001-uvr1611.inputs.a01") {
+                expect(adapter.states[id.replace("0001", "0002")], id).to.deep.equal(value);
+            }
+        }
+    });
+});
+
+describe("main => sensor faults", () => {
+    it("adds the fault indicator to inputs of every unit", () => {
+        const adapter = createAdapter();
+        const inputs = { A01: { value: 12.5, unit: "kW" }, A02: { value: 250, unit: "°C" } };
+        adapter.checkSensorInput(inputs, "A01");
+        adapter.checkSensorInput(inputs, "A02");
+        inputs.A01_fault.value.should.be.false;
+        inputs.A02_fault.value.should.be.true;
+        expect(inputs.A02.value).to.be.null;
+        inputs.A02.q.should.equal(0x84);
+    });
+
+    it("adds no fault indicator to digital and unused BL-NET inputs", () => {
+        const adapter = createAdapter();
+        const inputs = adapter.parseSensorInputs([0x2c, 0x41, 0x00, 0x90, 0x00, 0x00], { S01: [0, 1], S02: [2, 3], S03: [4, 5] });
+        Object.keys(inputs).should.deep.equal(["A01", "A01_fault", "D02", "A03"]);
+    });
+
+    it("flags inputs of every unit that have not changed", () => {
+        const adapter = createAdapter();
+        adapter.config.flat_line_minutes = 1;
+        const read = value => {
+            const inputs = { A01: { value: value, unit: "" } };
+            adapter.checkSensorInput(inputs, "A01");
+            adapter.detectFlatLines("blnet.node_1.inputs", inputs);
+            return inputs.A01_fault.value;
+        };
+        read(300).should.be.false;
+        adapter.flatLines["blnet.node_1.inputs.A01"].since -= 60000;
+        read(300).should.be.true;
+        read(301).should.be.false;
+    });
+
+    it("does not write the fault indicators into the history instance", async () => {
+        const adapter = createAdapter();
+        adapter.config.blnet_history_instance = "history.0";
+        adapter.systemConfiguration = { deviceInfo: { channelNodes: [1] } };
+        adapter.getChannelId = () => "blnet.node_1";
+        const stored = [];
+        adapter.sendToAsync = async (instance, command, message) => {
+            stored.push(message.id);
+            return { success: true };
+        };
+        const record = { Inputs: { A01: { value: 21.5, unit: "°C" }, A01_fault: { value: false, unit: "", type: "boolean", role: "indicator.error" } } };
+        (await adapter.storeHistoricRecords([{ deviceIndex: 0, timestamp: 1000, record: record }])).should.equal(1);
+        stored.should.deep.equal([adapter.getHistoricStateId("blnet.node_1", "Inputs", "A01")]);
+    });
+});
+
+describe("main => getStateTypeAndRole", () => {
+    const adapter = createAdapter();
+
+    it("gives the read-only digital outputs the role of a switch state", () => {
+        adapter.getStateTypeAndRole("Outputs", { value: 1, unit: "ON/OFF" }).should.deep.equal({ type: "boolean", role: "sensor.switch" });
+    });
+
+    it("gives other digital values the role indicator", () => {
+        adapter.getStateTypeAndRole("Inputs", { value: 1, unit: "ON/OFF" }).should.deep.equal({ type: "boolean", role: "indicator" });
+    });
+
+    it("keeps type and role given with the value", () => {
+        adapter.getStateTypeAndRole("Outputs", { value: false, unit: "", type: "boolean", role: "indicator.error" }).should.deep.equal({ type: "boolean", role: "indicator.error" });
+    });
+});